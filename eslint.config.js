@@ -1,6 +1,9 @@
 export default [
   {
-    files: ['*.js'],
+    ignores: ['node_modules/**', 'dist/**'],
+  },
+  {
+    files: ['**/*.js'],
     languageOptions: {
       ecmaVersion: 'latest',
       sourceType: 'module',
@@ -15,6 +18,5 @@ export default [
       'no-unused-vars': 'warn',
       'no-console': 'off',
     },
-    ignores: ['node_modules/**'],
   },
 ];
@@ -0,0 +1,16 @@
+/**
+ * Entry point of the browser bundle (`npm run build:browser`).
+ *
+ * The bundler swaps the Node-only modules for their `.browser.js`
+ * counterparts (see the `browser` field in package.json), so this exports
+ * the same PeerNode that runs in Node, on top of WebCrypto, the native
+ * WebSocket and RTCPeerConnection.
+ */
+export { PeerNode } from './peer-node.js';
+export { createIdentity } from './utils.js';
+export { MemoryStorage } from './memory-storage.js';
+export { RecordStorage } from './storage.js';
+export { Transport } from './transport.js';
+export { WebRTCTransport } from './webrtc-transport.js';
+export { MemoryNetwork, MemoryTransport } from './memory-transport.js';
+export { fromHex, toHex, toUtf8 } from './bytes.js';
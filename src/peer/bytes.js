@@ -0,0 +1,117 @@
+/**
+ * Byte helpers over plain Uint8Arrays, so that the DHT code runs in
+ * browsers as well as Node. Node Buffers are Uint8Arrays and are accepted
+ * everywhere.
+ */
+
+const HEX = Array.from({ length: 256 }, (_, i) =>
+  i.toString(16).padStart(2, '0')
+);
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Lowercase hex.
+ */
+export function toHex(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) hex += HEX[bytes[i]];
+  return hex;
+}
+
+/**
+ * Decode hex, stopping at the first invalid digit pair like `Buffer.from`.
+ *
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+export function fromHex(hex) {
+  const bytes = new Uint8Array(hex.length >>> 1);
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = parseInt(hex.substr(i * 2, 2), 16);
+    if (Number.isNaN(byte)) return bytes.subarray(0, i);
+    bytes[i] = byte;
+  }
+  return bytes;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Standard, padded base64.
+ */
+export function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Bytes of a value given as bytes or as a UTF-8 string.
+ *
+ * @param {Uint8Array|string} value
+ * @returns {Uint8Array}
+ */
+export function toBytes(value) {
+  return 'string' === typeof value ? encoder.encode(value) : value;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toUtf8(bytes) {
+  return decoder.decode(bytes);
+}
+
+/**
+ * @param {Uint8Array[]} list
+ * @returns {Uint8Array}
+ */
+export function concatBytes(list) {
+  const out = new Uint8Array(list.reduce((n, bytes) => n + bytes.length, 0));
+
+  let offset = 0;
+  for (const bytes of list) {
+    out.set(bytes, offset);
+    offset += bytes.length;
+  }
+  return out;
+}
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+export function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * A DataView over the same memory as `bytes`.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {DataView}
+ */
+export function viewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
@@ -1,5 +1,8 @@
 import readline from 'readline';
 import { PeerNode } from './peer-node.js';
+import { iceConfigFromEnv } from './webrtc-transport.js';
+import { signalingUrlsFromEnv } from './signaling-client.js';
+import { fromHex, toHex, toUtf8 } from './bytes.js';
 
 /**
  * Interactive CLI client for a DHT peer node.
@@ -16,16 +19,18 @@ import { PeerNode } from './peer-node.js';
  * - Manual testing of DHT behavior
  */
 
-const SIGNAL_URL = `ws://${process.env.SIGNALLING_HOST || 'localhost'}:${process.env.SIGNALLING_PORT || 3000}`;
-
-const node = new PeerNode({ signalingUrl: SIGNAL_URL });
+const node = await PeerNode.create({
+  signalingUrls: signalingUrlsFromEnv(),
+  ...iceConfigFromEnv(),
+  network: process.env.NETWORK_ID,
+});
 
 console.log('Client Node ID:', node.peerIdHex);
 
 node.onFindNodeResponse = (nodes) => {
   console.log(
     'FIND_NODE response:',
-    nodes.map((n) => n.toString('hex'))
+    nodes.map((n) => toHex(n))
   );
 };
 
@@ -96,10 +101,10 @@ rl.on('line', async (line) => {
         console.log('Usage: find <64-hex-node-id>');
         break;
       }
-      const res = await node.iterativeFindNode(Buffer.from(nodeId, 'hex'));
+      const res = await node.iterativeFindNode(fromHex(nodeId));
       console.log(
         'Closest nodes:',
-        res.map((n) => n.toString('hex'))
+        res.map((n) => toHex(n))
       );
       break;
     }
@@ -148,7 +153,7 @@ rl.on('line', async (line) => {
       const value = await node.findValue(key);
 
       if (value) {
-        console.log('Value found:', value.toString());
+        console.log('Value found:', toUtf8(value));
       } else {
         console.log('Value not found');
       }
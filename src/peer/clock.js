@@ -0,0 +1,18 @@
+/**
+ * Time source and timer scheduler.
+ *
+ * PeerNode, ConnectionManager and RoutingTable read the time and schedule
+ * timers through a clock object so that a simulator can substitute a
+ * virtual one. This default implementation uses the real timers.
+ */
+export const systemClock = {
+  /**
+   * @returns {number} Current time in milliseconds.
+   */
+  now: () => Date.now(),
+
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer),
+};
@@ -1,353 +1,873 @@
 import { EventEmitter } from 'events';
-import WebSocket from 'ws';
-import wrtc from 'wrtc';
 import {
+  decodeAuth,
+  decodeHello,
   decodeMessage,
   decodeSignal,
+  encodeAuth,
+  encodeGoodbye,
+  encodeHello,
   encodePing,
   encodeSignal,
+  generateMessageId,
+  handshakePayload,
+  nodeIdFromPublicKey,
+  sign,
+  verify,
 } from './utils.js';
+import { WebRTCTransport } from './webrtc-transport.js';
+import { equalBytes, fromHex, toBytes, toHex } from './bytes.js';
+import { randomBytes } from './platform.js';
+import { systemClock } from './clock.js';
+import { Framer } from './framing.js';
+import { PRIORITIES, SendQueue, priorityOf } from './send-queue.js';
+import { SignalingClient } from './signaling-client.js';
 import {
+  MAX_NETWORK_ID_LEN,
+  MSG_AUTH,
+  MSG_CHUNK,
+  MSG_GOODBYE,
+  MSG_HELLO,
+  MSG_SIGNAL_ACK,
   MSG_SIGNAL_ANSWER,
   MSG_SIGNAL_ICE,
   MSG_SIGNAL_OFFER,
+  NONCE_LEN,
 } from './constants.js';
 
 const HEARTBEAT_INTERVAL = 5 * 60 * 1000;
 const SEEN_SIGNAL_TTL = 60_000;
+const SIGNAL_TTL = 8; // hops a routed signal may take
+const SIGNAL_ACK_TIMEOUT = 10_000; // routed offers not acked by then are lost
+const HANDSHAKE_TIMEOUT = 10_000;
+const MAX_BUFFERED_AMOUNT = 1024 * 1024; // stop sending above 1 MiB in flight
+const BULK_BUFFERED_AMOUNT = 256 * 1024; // bulk frames wait for the buffer to drain
+const URGENT_PRIORITIES = ['control', 'lookup'];
+const DEFAULT_MAX_CONNECTIONS = 128;
+const MIN_CONNECTION_AGE = 30_000; // new links are not evicted before this
+const DEFAULT_MIN_PEERS = 3;
+const BOOTSTRAP_DIALS = 6; // peers dialed from one round of `peers` replies
 
 /**
- * Manages peer discovery, signaling, and WebRTC data-channel connections.
+ * Why a peer was disconnected, passed with `peerDisconnected`:
+ * - `closed`: the link failed or the remote side closed it
+ * - `timeout`: the handshake or heartbeat timed out
+ * - `goodbye`: the peer said GOODBYE (it is leaving or evicted us)
+ * - `handshake`: the peer failed to prove its node ID
+ * - `network`: the peer is on another network
+ * - `evicted`: dropped to make room under `maxConnections`
+ * - `limit`: an incoming link was refused under `maxConnections`
+ * - `invalid`: the owner dropped it for sending invalid data
+ * - `stopped`: the local node is stopping
+ *
+ * @typedef {'closed'|'timeout'|'goodbye'|'handshake'|'network'|'evicted'|'limit'|'invalid'|'stopped'} DisconnectReason
+ */
+
+/**
+ * Manages peer discovery, signaling, and peer-to-peer connections.
  *
  * This class abstracts over both direct WebSocket signaling (for bootstrap)
  * and routed, DHT-based signaling once peers are connected. It is responsible
  * for connection lifecycle management, message routing, heartbeats, and
- * connection cleanup.
+ * connection cleanup. The links themselves are provided by a Transport
+ * (WebRTC by default).
+ *
+ * Every new link starts with a handshake in which both sides sign the
+ * other's challenge nonce with the Ed25519 key behind their node ID. No
+ * DHT message is sent to or dispatched from a peer until it has passed.
+ * The HELLO also names the sender's network, and peers on another network
+ * are dropped.
  */
 export class ConnectionManager extends EventEmitter {
   /**
    * Create a new connection manager.
    *
    * @param {object} opts
-   * @param {Buffer} opts.nodeId - Local node ID.
+   * @param {Uint8Array} opts.nodeId - Local node ID.
+   * @param {{publicKey: Uint8Array, privateKey: any}} opts.identity -
+   *   Key pair the node ID was derived from.
    * @param {string} [opts.signalingUrl] - Optional bootstrap signaling server.
+   * @param {string[]} [opts.signalingUrls] - Several signaling servers, all
+   *   used at once; takes precedence over `signalingUrl`.
+   * @param {import('./transport.js').Transport} [opts.transport] - Link
+   *   layer; defaults to a WebRTCTransport.
+   * @param {RTCIceServer[]} [opts.iceServers] - STUN / TURN servers for the
+   *   default WebRTCTransport; `[]` for host candidates only.
+   * @param {'all'|'relay'} [opts.iceTransportPolicy] - ICE policy for the
+   *   default WebRTCTransport.
+   * @param {number} [opts.maxMessageSize] - Largest message sent or
+   *   reassembled from chunks.
+   * @param {number} [opts.maxConnections=128] - Budget for open and
+   *   in-progress connections.
+   * @param {number} [opts.minPeers=3] - Connected peers needed before the
+   *   signaling connections are closed; they are reopened if the count
+   *   drops below.
+   * @param {boolean} [opts.bootstrap=false] - Act as a long-lived
+   *   bootstrap node: stay registered with the signaling servers so that
+   *   joining nodes can find it.
+   * @param {string} [opts.network=''] - ID of the DHT network to join;
+   *   peers and signaling registrations on other networks are kept apart.
+   * @param {typeof systemClock} [opts.clock] - Time source and timers.
    */
-  constructor({ nodeId, signalingUrl }) {
+  constructor({
+    nodeId,
+    identity,
+    network = '',
+    bootstrap = false,
+    signalingUrl,
+    signalingUrls,
+    transport,
+    iceServers,
+    iceTransportPolicy,
+    maxMessageSize,
+    maxConnections = DEFAULT_MAX_CONNECTIONS,
+    minPeers = DEFAULT_MIN_PEERS,
+    clock = systemClock,
+  }) {
     super();
 
     this.nodeId = nodeId;
-    this.nodeIdHex = this.nodeId.toString('hex');
+    this.nodeIdHex = toHex(this.nodeId);
+    this.identity = identity;
 
-    this.signalingUrl = signalingUrl;
-    this.socket = null;
+    if (toBytes(network).length > MAX_NETWORK_ID_LEN) {
+      throw new Error(`Network ID is longer than ${MAX_NETWORK_ID_LEN} bytes`);
+    }
+    this.network = network;
+
+    this.signalingUrls = signalingUrls ?? (signalingUrl ? [signalingUrl] : []);
+    this.minPeers = minPeers;
+
+    this.transport =
+      transport ?? new WebRTCTransport({ iceServers, iceTransportPolicy });
+    this.clock = clock;
+
+    this.signaling = this.signalingUrls.length
+      ? new SignalingClient({
+          urls: this.signalingUrls,
+          nodeIdHex: this.nodeIdHex,
+          identity,
+          network,
+          clock,
+        })
+      : null;
+    this.framer = new Framer({ maxMessageSize, clock });
 
     this.routeSignal = null;
 
-    this.peers = new Map();
+    /**
+     * Whether a peer should be kept when connections must be evicted.
+     * Set by the owner, e.g. to protect routing-table members.
+     *
+     * @type {((peerIdHex: string) => boolean)|null}
+     */
+    this.keepPeer = null;
+    this.maxConnections = maxConnections;
+
     this.knownPeers = new Map();
     this.peerState = new Map();
     this.lastSeen = new Map();
 
+    /**
+     * When each authenticated peer connected, and when it last sent or
+     * received a non-control message. Used to pick idle peers to evict.
+     */
+    this.connectedAt = new Map();
+    this.lastActive = new Map();
+
+    /**
+     * In-progress handshakes: the nonce we challenged the peer with, the
+     * timer that drops it if it does not answer in time, and, while its
+     * AUTH is being verified, the messages it sent after it.
+     *
+     * @type {Map<string, {nonce: Uint8Array, timer: any, inbox?: Uint8Array[]}>}
+     */
+    this.handshakes = new Map();
+
+    /**
+     * Peers that proved ownership of their node ID on the current link.
+     *
+     * @type {Set<string>}
+     */
+    this.verified = new Set();
+
     this.seenSignalIds = new Map();
+
+    /**
+     * Route back to each peer that recently reached us with a routed
+     * signal: the hops it came through, reversed and ending with the peer.
+     *
+     * @type {Map<string, {route: string[], ts: number}>}
+     */
     this.signalReversePath = new Map();
 
-    this.isBootstrap = false;
-    this.signalingClosed = false;
+    /**
+     * Routed offers waiting for the target's delivery acknowledgement,
+     * by signal message ID.
+     *
+     * @type {Map<string, {peerIdHex: string, timer: any}>}
+     */
+    this.pendingOffers = new Map();
+
+    /**
+     * Frames waiting for a link to finish its handshake or for its send
+     * buffer to drain. `resolve` / `reject` are set on the last frame of
+     * each message.
+     *
+     * @type {Map<string, SendQueue>}
+     */
+    this.queues = new Map();
+
+    /**
+     * Whether the signaling connections are kept open for joining nodes
+     * however many peers are connected (the `bootstrap` option).
+     */
+    this.isBootstrap = bootstrap;
+
+    /**
+     * Whether the servers knew no other peer when last asked, i.e. this is
+     * the first node of its network. It stays registered like any node
+     * with fewer than `minPeers` peers; the flag is cleared once the
+     * servers report peers or enough peers are connected.
+     */
+    this.alone = false;
+    this.stopped = false;
   }
 
   /**
    * Start the connection manager.
    *
-   * Opens the WebSocket signaling connection (if configured), registers
-   * with the signaling server, starts peer discovery, and begins periodic
-   * heartbeat and garbage-collection tasks.
+   * Binds the transport, opens the WebSocket signaling connections (if
+   * configured), registers with the signaling servers, starts peer discovery,
+   * and begins periodic heartbeat and garbage-collection tasks.
+   *
+   * Signaling connections are closed once `minPeers` peers are connected,
+   * and opened again whenever fewer remain, so a node whose peers all leave
+   * can rejoin through the signaling servers.
    */
   start() {
-    if (!this.signalingUrl) return;
-
-    this.socket = new WebSocket(this.signalingUrl);
-
-    this.socket.on('open', () => {
-      this.socket.send(
-        JSON.stringify({
-          type: 'register',
-          peerId: this.nodeIdHex,
-        })
-      );
-      this.socket.send(JSON.stringify({ type: 'get-peers' }));
-    });
-
-    this.socket.on('message', (data) => {
-      this._handleSignal(JSON.parse(data));
-    });
+    this._bindTransport();
 
-    this.heartbeatInterval = setInterval(
+    this.heartbeatInterval = this.clock.setInterval(
       () => this._heartbeat(),
       HEARTBEAT_INTERVAL
     );
 
-    this._signalGc = setInterval(() => {
-      const now = Date.now();
+    this._signalGc = this.clock.setInterval(() => {
+      const now = this.clock.now();
       for (const [k, ts] of this.seenSignalIds) {
         if (now - ts > SEEN_SIGNAL_TTL) this.seenSignalIds.delete(k);
       }
+      for (const [k, { ts }] of this.signalReversePath) {
+        if (now - ts > SEEN_SIGNAL_TTL) this.signalReversePath.delete(k);
+      }
     }, SEEN_SIGNAL_TTL);
+
+    if (!this.signaling) return;
+
+    this.signaling.on('open', (url) => this.emit('signalingOpen', url));
+    this.signaling.on('peers', (peers) => this._handlePeers(peers));
+    this.signaling.on('message', (msg) => this._handleSignal(msg));
+    this.signaling.open();
+  }
+
+  /**
+   * Stop the connection manager.
+   *
+   * Sends GOODBYE to every authenticated peer so it can evict this node
+   * immediately, closes all links and signaling connections, and clears
+   * every timer. The manager cannot be restarted.
+   */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+
+    this.clock.clearInterval(this.heartbeatInterval);
+    this.clock.clearInterval(this._signalGc);
+
+    for (const { timer } of this.pendingOffers.values()) {
+      this.clock.clearTimeout(timer);
+    }
+    this.pendingOffers.clear();
+
+    const goodbye = encodeGoodbye();
+    for (const peerIdHex of this.verified) {
+      this.transport.send(peerIdHex, goodbye);
+    }
+
+    for (const peerIdHex of this.transport.peerIds()) {
+      this._dropPeer(peerIdHex, 'stopped');
+    }
+    for (const peerIdHex of [...this.handshakes.keys()]) {
+      this._forgetPeer(peerIdHex, 'stopped');
+    }
+    this.transport.destroy();
+    this.framer.clear();
+
+    this.signaling?.close();
   }
 
   /**
-   * Initiate an outbound WebRTC connection to a peer.
+   * Initiate an outbound connection to a peer.
    *
-   * Creates a peer connection, opens a data channel, generates an SDP offer,
-   * and sends it to the remote peer using either direct signaling or routed
-   * DHT signaling.
+   * The transport opens the link; any offer it produces is sent to the
+   * remote peer using either direct signaling or routed DHT signaling.
+   * If the connection budget is used up, the least recently active peer
+   * not protected by `keepPeer` is evicted first; if there is none, the
+   * call throws.
    *
    * @param {string} peerIdHex - Remote peer ID (hex-encoded).
    */
   async connect(peerIdHex) {
+    if (this.stopped) throw new Error('ConnectionManager is stopped');
     if (this.peerState.get(peerIdHex)) return;
+    if (!this._makeRoom()) {
+      throw new Error(`Connection limit of ${this.maxConnections} reached`);
+    }
     this.peerState.set(peerIdHex, 'dialing');
 
-    const pc = this._createPeerConnection(peerIdHex);
-    const channel = pc.createDataChannel('dht');
-
-    this._setupChannel(channel, peerIdHex);
-    this.peers.set(peerIdHex, { pc, channel, pendingIce: [] });
+    try {
+      await this.transport.dial(peerIdHex);
+    } catch (err) {
+      this.peerState.delete(peerIdHex);
+      this._rejectQueue(peerIdHex, err);
+      throw err;
+    }
+  }
 
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
+  /**
+   * Send a binary message to a peer.
+   *
+   * Messages larger than one frame are split into chunks. Frames go
+   * through a per-peer queue, which holds them while the link is still
+   * connecting or authenticating, and while more than MAX_BUFFERED_AMOUNT
+   * bytes are waiting in the transport's send buffer.
+   *
+   * The queue schedules frames by traffic class (see `priorityOf`), so
+   * pings and lookups overtake queued STOREs. Bulk frames are also held
+   * back once BULK_BUFFERED_AMOUNT bytes are buffered, leaving room in the
+   * channel for urgent traffic.
+   *
+   * The returned promise resolves once the whole message has been handed
+   * to the transport, and rejects if there is no link to the peer, the
+   * queue is full, the message is too large, or the link closes first.
+   * Callers that do not need the outcome can ignore it.
+   *
+   * @param {string} peerIdHex
+   * @param {Uint8Array} buffer
+   * @param {object} [opts]
+   * @param {'control'|'lookup'|'bulk'} [opts.priority] - Defaults to the
+   *   class of the message type.
+   * @returns {Promise<void>}
+   */
+  send(peerIdHex, buffer, { priority = priorityOf(buffer) } = {}) {
+    if ('control' !== priority && this.verified.has(peerIdHex)) {
+      this.lastActive.set(peerIdHex, this.clock.now());
+    }
 
-    this._sendSignal(peerIdHex, MSG_SIGNAL_OFFER, offer);
+    const sent = this._enqueue(peerIdHex, buffer, priority);
+    sent.catch(() => {});
+    return sent;
   }
 
   /**
-   * Send a binary message to a connected peer.
-   *
-   * The message is sent only if the peer's data channel is currently open.
+   * Number of frames queued for a peer.
    *
    * @param {string} peerIdHex
-   * @param {Buffer} buffer
+   * @param {'control'|'lookup'|'bulk'} [priority] - Count one class only.
+   * @returns {number}
    */
-  send(peerIdHex, buffer) {
-    const peer = this.peers.get(peerIdHex);
-    if ('open' === peer?.channel?.readyState) {
-      peer.channel.send(buffer);
+  queueDepth(peerIdHex, priority) {
+    return this.queues.get(peerIdHex)?.depth(priority) ?? 0;
+  }
+
+  /**
+   * Queued frames of every peer with a non-empty queue, for monitoring.
+   *
+   * @returns {Record<string, number>}
+   */
+  getQueueDepths() {
+    const depths = {};
+    for (const [peerIdHex, queue] of this.queues) {
+      depths[peerIdHex] = queue.depth();
     }
+    return depths;
   }
 
   /**
-   * Create (or reuse) a WebRTC peer connection for a peer.
+   * Subscribe to transport events and bind it to the local node ID.
    *
-   * This sets up ICE handling, connection state transitions, and data-channel
-   * negotiation callbacks.
+   * Handles link lifecycle events, heartbeat tracking, and dispatches
+   * incoming protocol messages to the appropriate handlers.
    *
    * @private
-   * @param {string} peerIdHex
-   * @returns {RTCPeerConnection}
    */
-  _createPeerConnection(peerIdHex) {
-    if (this.peers.has(peerIdHex)) {
-      return this.peers.get(peerIdHex).pc;
-    }
+  _bindTransport() {
+    if (this._transportBound) return;
+    this._transportBound = true;
+
+    const t = this.transport;
 
-    const pc = new wrtc.RTCPeerConnection({
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
+    t.on('signal', (peerIdHex, type, payload) => {
+      this._sendSignal(peerIdHex, type, payload);
     });
 
-    pc.onicecandidate = (e) => {
-      if (!e.candidate) return;
-      if (!this.peers.has(peerIdHex)) return;
-      this._sendSignal(peerIdHex, MSG_SIGNAL_ICE, e.candidate);
-    };
+    t.on('connected', (peerIdHex) => {
+      // Links opened by the remote side without an offer we accepted
+      if (!this.peerState.has(peerIdHex) && !this._makeRoom()) {
+        this._dropPeer(peerIdHex, 'limit');
+        return;
+      }
+      this.peerState.set(peerIdHex, 'handshake');
+    });
+
+    t.on('open', (peerIdHex) => {
+      if (this.transport.has(peerIdHex)) this._startHandshake(peerIdHex);
+    });
+
+    t.on('message', (peerIdHex, buf) => {
+      this.lastSeen.set(peerIdHex, this.clock.now());
 
-    pc.onconnectionstatechange = () => {
-      if ('connected' === pc.connectionState) {
-        this.peerState.set(peerIdHex, 'connected');
-        this.emit('peerConnected', peerIdHex);
-        this._maybeCloseSignaling();
+      const { type } = decodeMessage(buf);
+
+      if (MSG_HELLO === type || MSG_AUTH === type) {
+        this._handleHandshake(peerIdHex, type, buf);
+        return;
       }
-      if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
-        this.peerState.delete(peerIdHex);
-        this._dropPeer(peerIdHex);
+
+      if (!this.verified.has(peerIdHex)) {
+        // Sent once the peer verified us, while we still verify its AUTH
+        this.handshakes.get(peerIdHex)?.inbox?.push(buf);
+        return;
       }
-    };
 
-    pc.ondatachannel = (e) => {
-      this._setupChannel(e.channel, peerIdHex);
-    };
+      this._receive(peerIdHex, buf);
+    });
+
+    t.on('drain', (peerIdHex) => this._flush(peerIdHex));
+
+    t.on('closed', (peerIdHex) => this._forgetPeer(peerIdHex));
 
-    return pc;
+    t.listen(this.nodeIdHex);
   }
 
   /**
-   * Configure a WebRTC data channel for a peer.
-   *
-   * Handles channel lifecycle events, incoming messages, heartbeat tracking,
-   * and dispatches protocol messages to the appropriate handlers.
+   * Queue a message's frames and try to send them.
    *
    * @private
-   * @param {RTCDataChannel} channel
    * @param {string} peerIdHex
+   * @param {Uint8Array} buffer
+   * @param {string} priority
+   * @returns {Promise<void>}
    */
-  _setupChannel(channel, peerIdHex) {
-    channel.binaryType = 'arraybuffer';
+  _enqueue(peerIdHex, buffer, priority) {
+    if (!PRIORITIES.includes(priority)) {
+      return Promise.reject(new Error(`Unknown priority: ${priority}`));
+    }
+    if (this.stopped) {
+      return Promise.reject(new Error('ConnectionManager is stopped'));
+    }
+    if (!this.verified.has(peerIdHex) && !this.peerState.has(peerIdHex)) {
+      return Promise.reject(new Error(`No connection to ${peerIdHex}`));
+    }
 
-    const peer = this.peers.get(peerIdHex);
-    if (peer) {
-      peer.channel = channel;
+    let frames;
+    try {
+      frames = this.framer.split(buffer);
+    } catch (err) {
+      return Promise.reject(err);
     }
 
-    channel.onopen = () => {
-      this.knownPeers.set(peerIdHex, { channel });
-      channel.send(encodePing(this.nodeId));
-    };
+    const queue = this.queues.get(peerIdHex) ?? new SendQueue();
 
-    channel.onmessage = (e) => {
-      this.lastSeen.set(peerIdHex, Date.now());
+    return new Promise((resolve, reject) => {
+      const items = frames.map((frame, i) =>
+        i === frames.length - 1 ? { frame, resolve, reject } : { frame }
+      );
 
-      const buf = Buffer.from(e.data);
-      const { type } = decodeMessage(buf);
+      if (!queue.push(priority, items)) {
+        reject(new Error(`Send queue to ${peerIdHex} is full`));
+        return;
+      }
+
+      this.queues.set(peerIdHex, queue);
+      this._flush(peerIdHex);
+    });
+  }
+
+  /**
+   * Hand queued frames to the transport until its send buffer is full.
+   *
+   * Called when a message is queued, when the peer is verified and when
+   * the transport reports the buffer has drained.
+   *
+   * @private
+   * @param {string} peerIdHex
+   */
+  _flush(peerIdHex) {
+    if (!this.verified.has(peerIdHex)) return;
+
+    const queue = this.queues.get(peerIdHex);
+    if (!queue) return;
+
+    for (;;) {
+      const buffered = this.transport.bufferedAmount(peerIdHex);
+      if (buffered >= MAX_BUFFERED_AMOUNT) break;
 
-      if (
-        MSG_SIGNAL_ANSWER === type ||
-        MSG_SIGNAL_OFFER === type ||
-        MSG_SIGNAL_ICE === type
-      ) {
-        this._handleDhtSignal(buf);
+      const item = queue.shift(
+        buffered < BULK_BUFFERED_AMOUNT ? PRIORITIES : URGENT_PRIORITIES
+      );
+      if (!item) break;
+
+      if (!this.transport.send(peerIdHex, item.frame)) {
+        item.reject?.(new Error(`Link to ${peerIdHex} is not open`));
+        this._rejectQueue(
+          peerIdHex,
+          new Error(`Link to ${peerIdHex} is not open`)
+        );
         return;
       }
 
-      this.emit('message', peerIdHex, buf);
-    };
+      item.resolve?.();
+    }
+
+    if (0 === queue.depth()) this.queues.delete(peerIdHex);
   }
 
   /**
-   * Handle messages received from the WebSocket signaling server.
+   * Fail every message queued for a peer.
    *
-   * This includes peer discovery responses and direct offer/answer/ICE
-   * messages during the bootstrap phase.
+   * @private
+   * @param {string} peerIdHex
+   * @param {Error} err
+   */
+  _rejectQueue(peerIdHex, err) {
+    const queue = this.queues.get(peerIdHex);
+    if (!queue) return;
+
+    this.queues.delete(peerIdHex);
+    for (const item of queue.clear()) item.reject?.(err);
+  }
+
+  /**
+   * Handle a frame from an authenticated peer, reassembling chunks.
    *
    * @private
-   * @param {object} msg
+   * @param {string} peerIdHex
+   * @param {Uint8Array} buf
    */
-  _handleSignal(msg) {
-    if ('peers' === msg.type) {
-      if (
-        0 === msg.peers.length ||
-        parseInt(this.nodeIdHex.slice(0, 8), 16) % 5 === 0
-      ) {
-        this.isBootstrap = true;
+  _receive(peerIdHex, buf) {
+    if (MSG_CHUNK === buf[0]) {
+      const message = this.framer.receive(peerIdHex, buf);
+      if (message) this._dispatch(peerIdHex, message);
+      return;
+    }
+
+    this._dispatch(peerIdHex, buf);
+  }
+
+  /**
+   * Route a complete message from an authenticated peer.
+   *
+   * @private
+   * @param {string} peerIdHex
+   * @param {Uint8Array} buf
+   */
+  _dispatch(peerIdHex, buf) {
+    const { type } = decodeMessage(buf);
+
+    if (MSG_GOODBYE === type) {
+      this._dropPeer(peerIdHex, 'goodbye');
+      return;
+    }
+
+    if (
+      MSG_SIGNAL_ANSWER === type ||
+      MSG_SIGNAL_OFFER === type ||
+      MSG_SIGNAL_ICE === type ||
+      MSG_SIGNAL_ACK === type
+    ) {
+      this._handleDhtSignal(peerIdHex, buf).catch((err) => {
+        console.warn('Invalid routed signal from', peerIdHex, err.message);
+      });
+      return;
+    }
+
+    if ('control' !== priorityOf(buf)) {
+      this.lastActive.set(peerIdHex, this.clock.now());
+    }
+
+    this.emit('message', peerIdHex, buf);
+  }
+
+  /**
+   * Challenge a newly opened link.
+   *
+   * Sends a HELLO with a fresh nonce and drops the peer if it has not
+   * proved its identity within HANDSHAKE_TIMEOUT.
+   *
+   * @private
+   * @param {string} peerIdHex
+   */
+  _startHandshake(peerIdHex) {
+    const nonce = randomBytes(NONCE_LEN);
+    const timer = this.clock.setTimeout(() => {
+      if (this.verified.has(peerIdHex)) return;
+      console.warn('Handshake timed out, dropping peer', peerIdHex);
+      this._dropPeer(peerIdHex, 'timeout');
+    }, HANDSHAKE_TIMEOUT);
+
+    this.handshakes.set(peerIdHex, { nonce, timer });
+    this.transport.send(peerIdHex, encodeHello(nonce, this.network));
+  }
+
+  /**
+   * Handle a HELLO or AUTH handshake message.
+   *
+   * A HELLO is answered with an AUTH signing the peer's nonce. An AUTH is
+   * accepted only if its public key hashes to the peer's node ID and the
+   * signature covers our nonce; otherwise the peer is dropped. Messages
+   * that arrive while the AUTH is being verified are handled once it
+   * passes.
+   *
+   * @private
+   * @param {string} peerIdHex
+   * @param {number} type
+   * @param {Uint8Array} buf
+   */
+  async _handleHandshake(peerIdHex, type, buf) {
+    const peerId = fromHex(peerIdHex);
+    let pending;
+
+    try {
+      if (MSG_HELLO === type) {
+        const { nonce, network } = decodeHello(buf);
+        if (network !== this.network) {
+          console.warn(`Peer is on network "${network}", dropping`, peerIdHex);
+          this._dropPeer(peerIdHex, 'network');
+          return;
+        }
+
+        const signature = await sign(
+          this.identity.privateKey,
+          handshakePayload(nonce, this.nodeId, peerId, this.network)
+        );
+        this.transport.send(
+          peerIdHex,
+          encodeAuth(this.identity.publicKey, signature)
+        );
+        return;
+      }
+
+      pending = this.handshakes.get(peerIdHex);
+      if (!pending || pending.inbox) return;
+      pending.inbox = [];
+
+      const { publicKey, signature } = decodeAuth(buf);
+      const ok =
+        equalBytes(await nodeIdFromPublicKey(publicKey), peerId) &&
+        (await verify(
+          publicKey,
+          handshakePayload(pending.nonce, peerId, this.nodeId, this.network),
+          signature
+        ));
+
+      // The link was closed while verifying
+      if (this.handshakes.get(peerIdHex) !== pending) return;
+
+      if (!ok) {
+        console.warn('Handshake failed, dropping peer', peerIdHex);
+        this._dropPeer(peerIdHex, 'handshake');
         return;
       }
 
-      msg.peers.slice(0, 3).forEach((pid) => this.connect(pid));
+      this.clock.clearTimeout(pending.timer);
+      this.handshakes.delete(peerIdHex);
+    } catch {
+      console.warn('Malformed handshake, dropping peer', peerIdHex);
+      this._dropPeer(peerIdHex, 'handshake');
+      return;
+    }
+
+    this._onVerified(peerIdHex);
+
+    for (const queued of pending.inbox) {
+      if (!this.verified.has(peerIdHex)) break;
+      this._receive(peerIdHex, queued);
+    }
+  }
+
+  /**
+   * Mark a peer as authenticated and announce it.
+   *
+   * @private
+   * @param {string} peerIdHex
+   */
+  _onVerified(peerIdHex) {
+    this.verified.add(peerIdHex);
+    this.knownPeers.set(peerIdHex, this.clock.now());
+    this.connectedAt.set(peerIdHex, this.clock.now());
+    this.peerState.set(peerIdHex, 'connected');
+    this.emit('peerConnected', peerIdHex);
+    this._flush(peerIdHex);
+    this._maybeCloseSignaling();
+  }
+
+  /**
+   * Handle the peers reported by the signaling servers.
+   *
+   * Dials up to BOOTSTRAP_DIALS of them in the servers' order: their
+   * closest peers first, then the ones sampled from farther buckets. An
+   * empty list marks this node as `alone`.
+   *
+   * @private
+   * @param {string[]} peers - Merged over all servers.
+   */
+  _handlePeers(peers) {
+    if (0 === peers.length) {
+      if (!this.alone) {
+        console.log('No other peers registered, staying reachable');
+      }
+      this.alone = true;
       return;
     }
+    this.alone = false;
+
+    peers
+      .filter((pid) => !this.peerState.has(pid))
+      .slice(0, BOOTSTRAP_DIALS)
+      .forEach((pid) => this.connect(pid).catch(() => {}));
+  }
+
+  /**
+   * Handle direct offer/answer/ICE messages relayed by a signaling server
+   * during the bootstrap phase.
+   *
+   * @private
+   * @param {object} msg
+   */
+  _handleSignal(msg) {
+    let handled;
+    if ('offer' === msg.type) handled = this._acceptOffer(msg);
+    if ('answer' === msg.type) handled = this._acceptAnswer(msg);
+    if ('ice' === msg.type) handled = this._addIceCandidate(msg);
 
-    if ('offer' === msg.type) this._acceptOffer(msg);
-    if ('answer' === msg.type) this._acceptAnswer(msg);
-    if ('ice' === msg.type) this._addIceCandidate(msg);
+    handled?.catch((err) => {
+      console.warn('Invalid signal from', msg.from, err.message);
+    });
   }
 
   /**
    * Handle a routed DHT signaling message.
    *
-   * Messages are de-duplicated, forwarded if they are not addressed to this
-   * node, or applied locally if they target this node.
+   * Messages are de-duplicated and forwarded if they are not addressed to
+   * this node: along their explicit route while its next hop is connected,
+   * otherwise towards the target via `routeSignal`. Each hop decrements
+   * the TTL and appends itself to the path; messages that run out of hops
+   * or loop back are dropped.
+   *
+   * Messages for this node are applied locally. Their path, reversed, is
+   * remembered as the route back to the sender, and offers are
+   * acknowledged along it.
+   *
+   * `from`, `path` and `ttl` are set by the sender and not signed, so the
+   * TTL is capped at SIGNAL_TTL, a path is only remembered if it ends at
+   * the peer that delivered it, and acknowledgements of offers this node
+   * is not waiting on are dropped.
    *
    * @private
-   * @param {Buffer} buf
+   * @param {string} peerIdHex - Peer that delivered the message.
+   * @param {Uint8Array} buf
    */
-  async _handleDhtSignal(buf) {
+  async _handleDhtSignal(peerIdHex, buf) {
     const { type, payload } = decodeSignal(buf);
-    const { messageId } = payload;
+    const { messageId, from, path } = payload;
+    const ttl = Math.min(payload.ttl, SIGNAL_TTL);
 
-    const now = Date.now();
+    const now = this.clock.now();
     const ts = this.seenSignalIds.get(messageId);
     if (ts && now - ts < SEEN_SIGNAL_TTL) return;
     this.seenSignalIds.set(messageId, now);
 
     if (payload.to !== this.nodeIdHex) {
-      if (!this.routeSignal) return;
+      if (ttl <= 1 || path.includes(this.nodeIdHex)) return;
 
-      const nextHops = this.routeSignal(payload.to);
-
-      for (const hex of nextHops) {
-        const peer = this.peers.get(hex);
-        if (peer?.channel?.readyState === 'open') {
-          peer.channel.send(encodeSignal(type, payload));
-        }
-      }
+      this._forwardSignal(type, {
+        ...payload,
+        ttl: ttl - 1,
+        path: [...path, this.nodeIdHex],
+      });
       return;
     }
 
-    setTimeout(() => {
+    this.clock.setTimeout(() => {
       this.seenSignalIds.delete(messageId);
     }, SEEN_SIGNAL_TTL);
 
+    if (
+      MSG_SIGNAL_ACK === type &&
+      this.pendingOffers.get(payload.payload)?.peerIdHex !== from
+    ) {
+      return;
+    }
+
+    if (path[0] === from && path[path.length - 1] === peerIdHex) {
+      this.signalReversePath.set(from, { route: [...path].reverse(), ts: now });
+    }
+
     switch (type) {
       case MSG_SIGNAL_OFFER:
+        this._sendRoutedSignal(from, MSG_SIGNAL_ACK, messageId);
         await this._acceptOffer({
-          from: payload.from,
+          from,
           sdp: payload.payload,
         });
         break;
 
       case MSG_SIGNAL_ANSWER:
         await this._acceptAnswer({
-          from: payload.from,
+          from,
           sdp: payload.payload,
         });
         break;
 
       case MSG_SIGNAL_ICE:
         await this._addIceCandidate({
-          from: payload.from,
+          from,
           candidate: payload.payload,
         });
         break;
+
+      case MSG_SIGNAL_ACK:
+        this._offerDelivered(from, payload.payload);
+        break;
     }
   }
 
   /**
    * Accept and respond to an incoming SDP offer.
    *
-   * Performs glare resolution, sets the remote description, applies any
-   * queued ICE candidates, and sends an SDP answer.
+   * Performs glare resolution and hands the offer to the transport, which
+   * emits the answer. Offers are ignored when the connection budget is
+   * used up and no peer can be evicted, so the remote dial times out.
    *
    * @private
    * @param {{from: string, sdp: any}} param0
    */
   async _acceptOffer({ from, sdp }) {
-    if (this.peers.has(from)) return;
+    if (this.transport.has(from)) return;
 
     if (this.peerState.get(from) === 'dialing') {
       if (this.nodeIdHex > from) {
         return;
       }
+    } else if (!this._makeRoom()) {
+      console.warn('Connection limit reached, ignoring offer from', from);
+      return;
     }
     this.peerState.set(from, 'dialing');
 
-    const pc = this._createPeerConnection(from);
-    this.peers.set(from, {
-      pc,
-      channel: null,
-      pendingIce: [],
-    });
-
-    await pc.setRemoteDescription(sdp);
-
-    const peer = this.peers.get(from);
-    for (const c of peer.pendingIce) {
-      try {
-        await pc.addIceCandidate(c);
-      } catch {}
-    }
-    peer.pendingIce.length = 0;
-
-    const answer = await pc.createAnswer();
-    await pc.setLocalDescription(answer);
-
-    this._sendSignal(from, MSG_SIGNAL_ANSWER, answer);
+    await this.transport.accept(from, sdp);
   }
 
   /**
@@ -357,52 +877,23 @@ export class ConnectionManager extends EventEmitter {
    * @param {{from: string, sdp: any}} param0
    */
   async _acceptAnswer({ from, sdp }) {
-    const peer = this.peers.get(from);
-    if (!peer) return;
-
-    if (!peer.pc.remoteDescription) {
-      await peer.pc.setRemoteDescription(sdp);
-
-      for (const c of peer.pendingIce) {
-        try {
-          await peer.pc.addIceCandidate(c);
-        } catch {}
-      }
-      peer.pendingIce.length = 0;
-    }
+    await this.transport.handleAnswer(from, sdp);
   }
 
   /**
    * Add an ICE candidate to a peer connection.
    *
-   * Candidates received before the remote description is set are queued.
-   *
    * @private
    * @param {{from: string, candidate: any}} param0
    */
   async _addIceCandidate({ from, candidate }) {
-    const peer = this.peers.get(from);
-    if (!peer) return;
-
-    if (peer.pc.connectionState === 'closed') return;
-
-    if (!peer.pc.remoteDescription) {
-      peer.pendingIce.push(candidate);
-      return;
-    }
-
-    try {
-      await peer.pc.addIceCandidate(candidate);
-    } catch (err) {
-      console.error('addIceCandidate failed (ignored)');
-      console.error(err);
-    }
+    await this.transport.addIceCandidate(from, candidate);
   }
 
   /**
    * Send a signaling message to a peer.
    *
-   * Uses the WebSocket signaling server if available, otherwise falls back
+   * Uses the WebSocket signaling servers if connected, otherwise falls back
    * to routed DHT signaling via connected peers.
    *
    * @private
@@ -411,7 +902,7 @@ export class ConnectionManager extends EventEmitter {
    * @param {any} payload
    */
   _sendSignal(peerIdHex, type, payload) {
-    if (WebSocket.OPEN === this.socket?.readyState) {
+    if (this.signaling?.connected) {
       const wstype =
         type === MSG_SIGNAL_OFFER
           ? 'offer'
@@ -423,25 +914,104 @@ export class ConnectionManager extends EventEmitter {
       return;
     }
 
-    if (!this.routeSignal) return;
+    this._sendRoutedSignal(peerIdHex, type, payload);
+  }
 
-    const msg = encodeSignal(type, {
+  /**
+   * Send a signaling message to a peer over the DHT.
+   *
+   * Follows the route the peer last reached us through, if any, and
+   * otherwise goes towards it via `routeSignal`. Offers are tracked until
+   * the target acknowledges them; see `_offerDelivered`.
+   *
+   * @private
+   * @param {string} peerIdHex
+   * @param {number} type
+   * @param {any} payload
+   */
+  _sendRoutedSignal(peerIdHex, type, payload) {
+    const msg = {
+      messageId: toHex(generateMessageId()),
       from: this.nodeIdHex,
       to: peerIdHex,
       payload,
-    });
+      ttl: SIGNAL_TTL,
+      path: [this.nodeIdHex],
+      route: this.signalReversePath.get(peerIdHex)?.route,
+    };
 
-    const next = this.routeSignal(peerIdHex);
-    for (const hex of next) {
-      const peer = this.peers.get(hex);
-      if (peer?.channel?.readyState === 'open') {
-        peer.channel.send(msg);
-      }
+    if (MSG_SIGNAL_OFFER === type) {
+      const timer = this.clock.setTimeout(
+        () => this._offerLost(msg.messageId),
+        SIGNAL_ACK_TIMEOUT
+      );
+      this.pendingOffers.set(msg.messageId, { peerIdHex, timer });
     }
+
+    this._forwardSignal(type, msg);
   }
 
   /**
-   * Send a signaling message over the WebSocket connection.
+   * Pass a routed signal on to its next hop, or hops.
+   *
+   * @private
+   * @param {number} type
+   * @param {object} msg - Payload with this node's hop already recorded.
+   */
+  _forwardSignal(type, msg) {
+    const [next, ...route] = msg.route ?? [];
+
+    if (next && this.verified.has(next)) {
+      this.send(next, encodeSignal(type, { ...msg, route }));
+      return;
+    }
+
+    if (!this.routeSignal) return;
+
+    const buf = encodeSignal(type, { ...msg, route: undefined });
+    for (const hex of this.routeSignal(msg.to)) {
+      if (!msg.path.includes(hex)) this.send(hex, buf);
+    }
+  }
+
+  /**
+   * Handle a delivery acknowledgement for a routed offer.
+   *
+   * @private
+   * @param {string} peerIdHex - Peer that acknowledged.
+   * @param {string} offerId - Message ID of the offer.
+   */
+  _offerDelivered(peerIdHex, offerId) {
+    const pending = this.pendingOffers.get(offerId);
+    if (pending?.peerIdHex !== peerIdHex) return;
+
+    this.clock.clearTimeout(pending.timer);
+    this.pendingOffers.delete(offerId);
+    this.emit('signalDelivered', peerIdHex, offerId);
+  }
+
+  /**
+   * Give up on a routed offer that was never acknowledged. A dial still
+   * waiting on it is dropped rather than left to time out.
+   *
+   * @private
+   * @param {string} offerId
+   */
+  _offerLost(offerId) {
+    const pending = this.pendingOffers.get(offerId);
+    if (!pending) return;
+
+    this.pendingOffers.delete(offerId);
+    this.emit('signalUndelivered', pending.peerIdHex, offerId);
+
+    if ('dialing' === this.peerState.get(pending.peerIdHex)) {
+      this._dropPeer(pending.peerIdHex, 'timeout');
+    }
+  }
+
+  /**
+   * Send a signaling message through the signaling server the target is
+   * registered on.
    *
    * @private
    * @param {string} type
@@ -449,42 +1019,80 @@ export class ConnectionManager extends EventEmitter {
    * @param {any} payload
    */
   _sendSignalWS(type, to, payload) {
-    this.socket.send(
-      JSON.stringify({
-        type,
-        from: this.nodeIdHex,
-        to,
-        ...('ice' === type ? { candidate: payload } : { sdp: payload }),
-      })
-    );
+    this.signaling.send({
+      type,
+      from: this.nodeIdHex,
+      to,
+      ...('ice' === type ? { candidate: payload } : { sdp: payload }),
+    });
   }
 
   /**
-   * Close the WebSocket signaling connection once it is no longer required.
+   * Close the WebSocket signaling connections once they are no longer needed,
+   * i.e. at least `minPeers` peers are connected. Bootstrap nodes keep it
+   * open; the first node of a network closes it like any other.
    *
    * @private
    */
   _maybeCloseSignaling() {
     if (this.isBootstrap) return;
-    if (this.signalingClosed) return;
+    if (!this.signaling?.active) return;
+    if (this.getConnectedPeers().length < this.minPeers) return;
+
+    this.alone = false;
+    this.signaling.close();
+  }
+
+  /**
+   * Reconnect to the signaling servers if the node has fewer than
+   * `minPeers` connected peers. The SignalingClient then keeps retrying
+   * unreachable servers with backoff until enough peers are connected.
+   *
+   * @private
+   */
+  _checkConnectivity() {
+    if (this.stopped || !this.signaling || this.signaling.active) return;
+    if (this.getConnectedPeers().length >= this.minPeers) return;
 
-    this.signalingClosed = true;
-    this.socket.close();
+    console.log('Too few peers, reopening signaling');
+    this.signaling.open();
   }
 
   /**
-   * Return IDs of peers with an open data channel.
+   * Return IDs of authenticated peers with an open link.
    *
    * @returns {string[]}
    */
   getConnectedPeers() {
-    const out = [];
-    for (const [id, p] of this.peers) {
-      if (p.channel?.readyState === 'open') {
-        out.push(id);
-      }
-    }
-    return out;
+    return this.transport
+      .peerIds()
+      .filter((id) => this.verified.has(id) && this.transport.isOpen(id));
+  }
+
+  /**
+   * Wait until a peer has connected and passed the handshake.
+   *
+   * @param {string} peerIdHex
+   * @param {number} timeout - Milliseconds.
+   * @returns {Promise<boolean>} False if it did not connect in time.
+   */
+  waitForPeer(peerIdHex, timeout) {
+    if (this.verified.has(peerIdHex)) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      const onConnected = (id) => {
+        if (id !== peerIdHex) return;
+        this.clock.clearTimeout(timer);
+        this.off('peerConnected', onConnected);
+        resolve(true);
+      };
+      const timer = this.clock.setTimeout(() => {
+        this.off('peerConnected', onConnected);
+        resolve(false);
+      }, timeout);
+
+      this.on('peerConnected', onConnected);
+    });
   }
 
   /**
@@ -496,16 +1104,27 @@ export class ConnectionManager extends EventEmitter {
     return [...this.knownPeers.keys()];
   }
 
+  /**
+   * Whether one more connection fits in the budget, counting peers that
+   * could be evicted to make room.
+   *
+   * @returns {boolean}
+   */
+  canConnect() {
+    return (
+      this.peerState.size < this.maxConnections ||
+      null !== this._evictionCandidate()
+    );
+  }
+
   /**
    * Broadcast a message to all currently connected peers.
    *
-   * @param {Buffer} buf
+   * @param {Uint8Array} buf
    */
   broadcast(buf) {
-    for (const { channel } of this.knownPeers.values()) {
-      if ('open' === channel.readyState) {
-        channel.send(buf);
-      }
+    for (const peerIdHex of this.knownPeers.keys()) {
+      this.send(peerIdHex, buf);
     }
   }
 
@@ -513,52 +1132,120 @@ export class ConnectionManager extends EventEmitter {
    * Periodic maintenance task.
    *
    * Sends heartbeat pings to peers and drops connections that have been
-   * inactive for too long.
+   * inactive for too long. While signaling is connected and fewer than
+   * `minPeers` peers are connected, asks the servers for peers again.
    *
    * @private
    */
   _heartbeat() {
-    const now = Date.now();
+    const now = this.clock.now();
+
+    if (
+      this.signaling?.connected &&
+      this.getConnectedPeers().length < this.minPeers
+    ) {
+      this.signaling.requestPeers();
+    }
 
-    for (const [peerId, peer] of this.peers) {
+    for (const peerId of this.transport.peerIds()) {
       const last = this.lastSeen.get(peerId) ?? 0;
 
       if (now - last > 2 * HEARTBEAT_INTERVAL) {
-        this._dropPeer(peerId);
+        this._dropPeer(peerId, 'timeout');
         continue;
       }
 
-      if ('open' === peer.channel?.readyState) {
-        peer.channel.send(encodePing(this.nodeId));
-      }
+      this.send(peerId, encodePing(this.nodeId));
     }
   }
 
   /**
    * Tear down and forget a peer connection.
    *
-   * Closes the data channel and peer connection, removes all internal state,
-   * and emits a `peerDisconnected` event.
+   * Closes the transport link, removes all internal state, and emits a
+   * `peerDisconnected` event.
    *
    * @private
    * @param {string} peerIdHex
+   * @param {DisconnectReason} [reason]
    */
-  _dropPeer(peerIdHex) {
-    const peer = this.peers.get(peerIdHex);
-    if (!peer) return;
+  _dropPeer(peerIdHex, reason) {
+    if (!this.transport.has(peerIdHex)) return;
 
-    try {
-      peer.channel?.close();
-    } catch {}
-    try {
-      peer.pc?.close();
-    } catch {}
+    this.transport.close(peerIdHex);
+    this._forgetPeer(peerIdHex, reason);
+  }
+
+  /**
+   * Remove all internal state for a peer whose link is gone.
+   *
+   * @private
+   * @param {string} peerIdHex
+   * @param {DisconnectReason} [reason]
+   */
+  _forgetPeer(peerIdHex, reason = 'closed') {
+    const handshake = this.handshakes.get(peerIdHex);
+    if (handshake) this.clock.clearTimeout(handshake.timer);
+    this.handshakes.delete(peerIdHex);
+    this.verified.delete(peerIdHex);
+    this.framer.drop(peerIdHex);
+    this._rejectQueue(
+      peerIdHex,
+      new Error(`Connection to ${peerIdHex} closed`)
+    );
 
-    this.peers.delete(peerIdHex);
     this.knownPeers.delete(peerIdHex);
     this.lastSeen.delete(peerIdHex);
     this.peerState.delete(peerIdHex);
+    this.connectedAt.delete(peerIdHex);
+    this.lastActive.delete(peerIdHex);
+
+    this.emit('peerDisconnected', peerIdHex, reason);
+    this._checkConnectivity();
+  }
+
+  /**
+   * Free a connection slot if the budget is used up.
+   *
+   * @private
+   * @returns {boolean} Whether there is room for one more connection.
+   */
+  _makeRoom() {
+    if (this.peerState.size < this.maxConnections) return true;
+
+    const victim = this._evictionCandidate();
+    if (!victim) return false;
+
+    this.transport.send(victim, encodeGoodbye());
+    this._dropPeer(victim, 'evicted');
+    return true;
+  }
+
+  /**
+   * Pick the connection to evict: the authenticated peer, older than
+   * MIN_CONNECTION_AGE and not protected by `keepPeer`, that has been idle
+   * the longest. Links still dialing or authenticating are never evicted.
+   *
+   * @private
+   * @returns {string|null}
+   */
+  _evictionCandidate() {
+    const now = this.clock.now();
+    let victim = null;
+    let victimActive = Infinity;
+
+    for (const peerIdHex of this.verified) {
+      const connectedAt = this.connectedAt.get(peerIdHex) ?? now;
+      if (now - connectedAt < MIN_CONNECTION_AGE) continue;
+      if (this.keepPeer?.(peerIdHex)) continue;
+
+      const active = this.lastActive.get(peerIdHex) ?? connectedAt;
+      if (active < victimActive) {
+        victim = peerIdHex;
+        victimActive = active;
+      }
+    }
 
-    this.emit('peerDisconnected', peerIdHex);
+    return victim;
   }
 }
@@ -1,4 +1,20 @@
 export const NODE_ID_LEN = 32;
+export const PUBLIC_KEY_LEN = 32;
+export const SIGNATURE_LEN = 64;
+export const NONCE_LEN = 32;
+
+/**
+ * Longest network ID, in UTF-8 bytes. The empty ID is the default network.
+ */
+export const MAX_NETWORK_ID_LEN = 64;
+
+/**
+ * DER prefix of a PKCS#8 Ed25519 private key; followed by the 32-byte seed.
+ */
+export const ED25519_PKCS8_PREFIX = Uint8Array.from([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04,
+  0x22, 0x04, 0x20,
+]);
 
 export const MSG_PING = 0x01;
 export const MSG_PONG = 0x02;
@@ -13,6 +29,13 @@ export const MSG_FIND_VALUE_RESPONSE = 0x08;
 export const MSG_HAS_VALUE = 0x09;
 export const MSG_HAS_VALUE_RESPONSE = 0x0a;
 
+export const MSG_HELLO = 0x0b;
+export const MSG_AUTH = 0x0c;
+
+export const MSG_GOODBYE = 0x0d;
+export const MSG_CHUNK = 0x0e;
+
 export const MSG_SIGNAL_OFFER = 0xf0;
 export const MSG_SIGNAL_ANSWER = 0xf1;
 export const MSG_SIGNAL_ICE = 0xf2;
+export const MSG_SIGNAL_ACK = 0xf3;
@@ -0,0 +1,9 @@
+/**
+ * Browser stand-in for data-dir.js. Browsers have no file system, so a
+ * node running there cannot use `dataDir`.
+ */
+export class DataDir {
+  constructor() {
+    throw new Error('dataDir is not supported in browsers');
+  }
+}
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { identityFromPrivateKey } from './utils.js';
+
+const IDENTITY_FILE = 'identity.pem';
+const STATE_FILE = 'state.json';
+const RECORDS_FILE = 'records.log';
+
+/**
+ * On-disk home of a node that should survive restarts.
+ *
+ * Layout:
+ * - `identity.pem`: the node's Ed25519 private key (PKCS#8)
+ * - `state.json`: routing table and recently connected peers
+ * - `records.log`: the FileStorage record log
+ */
+export class DataDir {
+  /**
+   * @param {string} dir - Created if it does not exist.
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  /**
+   * Path of the record log.
+   *
+   * @returns {string}
+   */
+  get recordsPath() {
+    return path.join(this.dir, RECORDS_FILE);
+  }
+
+  /**
+   * Load the saved identity.
+   *
+   * @returns {Promise<import('./utils.js').Identity|null>} Null if none
+   *   has been saved yet.
+   */
+  async loadIdentity() {
+    const file = path.join(this.dir, IDENTITY_FILE);
+    if (!fs.existsSync(file)) return null;
+
+    return identityFromPrivateKey(
+      crypto.createPrivateKey(fs.readFileSync(file, 'utf8'))
+    );
+  }
+
+  /**
+   * Save an identity, readable only by the current user.
+   *
+   * @param {{privateKey: crypto.KeyObject}} identity
+   */
+  saveIdentity(identity) {
+    const pem = identity.privateKey.export({ type: 'pkcs8', format: 'pem' });
+    this._writeAtomic(IDENTITY_FILE, pem, 0o600);
+  }
+
+  /**
+   * Load the saved node state.
+   *
+   * @returns {object|null} Null if none has been saved or it is unreadable.
+   */
+  loadState() {
+    const file = path.join(this.dir, STATE_FILE);
+    if (!fs.existsSync(file)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.warn(`Ignoring unreadable ${file}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * @param {object} state
+   */
+  saveState(state) {
+    this._writeAtomic(STATE_FILE, JSON.stringify(state));
+  }
+
+  /**
+   * Write a file through a temporary one, so a crash never leaves it
+   * half-written.
+   *
+   * @private
+   * @param {string} name
+   * @param {string} data
+   * @param {number} [mode]
+   */
+  _writeAtomic(name, data, mode = 0o644) {
+    const file = path.join(this.dir, name);
+    const tmp = `${file}.tmp`;
+
+    fs.writeFileSync(tmp, data, { mode });
+    fs.renameSync(tmp, file);
+  }
+}
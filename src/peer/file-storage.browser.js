@@ -0,0 +1,12 @@
+import { MemoryStorage } from './memory-storage.js';
+
+/**
+ * Browser stand-in for file-storage.js. Browsers have no file system; pass
+ * a MemoryStorage or another RecordStorage instead.
+ */
+export class FileStorage extends MemoryStorage {
+  constructor() {
+    super();
+    throw new Error('FileStorage is not supported in browsers');
+  }
+}
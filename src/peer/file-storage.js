@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import { MemoryStorage } from './memory-storage.js';
+
+/**
+ * Minimum number of log lines before compaction is considered.
+ */
+const MIN_COMPACT_LINES = 1000;
+
+/**
+ * Durable record storage: an in-memory index plus an append-only log.
+ *
+ * Every `set` and `delete` appends one JSON line to the log:
+ *
+ * ```
+ * {"op":"set","key":"<hex>","entry":{...}}
+ * {"op":"del","key":"<hex>"}
+ * ```
+ *
+ * `open()` replays the log to rebuild the index, skipping a torn last line
+ * left by a crash, and rewrites it compacted. While running, the log is
+ * compacted again once it holds more than `compactRatio` lines per live
+ * entry. Compaction writes a temporary file and renames it over the log,
+ * so the log is never left half-written.
+ */
+export class FileStorage extends MemoryStorage {
+  /**
+   * @param {object} opts
+   * @param {string} opts.path - Log file; its directory is created if needed.
+   * @param {number} [opts.compactRatio=2] - Log lines per live entry that
+   *   trigger compaction
+   */
+  constructor({ path: file, compactRatio = 2 }) {
+    super();
+
+    this.path = file;
+    this.compactRatio = compactRatio;
+
+    this.fd = null;
+    this.lines = 0;
+  }
+
+  /**
+   * Load the log and open it for appending.
+   */
+  open() {
+    if (null !== this.fd) return;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+    if (fs.existsSync(this.path)) {
+      this._replay(fs.readFileSync(this.path, 'utf8'));
+    }
+
+    this.compact();
+  }
+
+  /**
+   * Compact the log and close it.
+   */
+  close() {
+    if (null === this.fd) return;
+
+    this.compact();
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  set(keyHex, entry) {
+    super.set(keyHex, entry);
+    this._append({ op: 'set', key: keyHex, entry });
+    return this;
+  }
+
+  delete(keyHex) {
+    if (!super.delete(keyHex)) return false;
+
+    this._append({ op: 'del', key: keyHex });
+    return true;
+  }
+
+  /**
+   * Rewrite the log with one line per live entry.
+   */
+  compact() {
+    const tmp = `${this.path}.tmp`;
+    let data = '';
+
+    for (const [key, entry] of this.map) {
+      data += JSON.stringify({ op: 'set', key, entry }) + '\n';
+    }
+
+    fs.writeFileSync(tmp, data);
+
+    if (null !== this.fd) fs.closeSync(this.fd);
+    fs.renameSync(tmp, this.path);
+
+    this.fd = fs.openSync(this.path, 'a');
+    this.lines = this.map.size;
+  }
+
+  /**
+   * @private
+   * @param {object} op
+   */
+  _append(op) {
+    if (null === this.fd) {
+      throw new Error(`FileStorage ${this.path} is not open`);
+    }
+
+    fs.writeSync(this.fd, JSON.stringify(op) + '\n');
+    this.lines++;
+
+    if (
+      this.lines >= MIN_COMPACT_LINES &&
+      this.lines > this.compactRatio * this.map.size
+    ) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rebuild the index from log contents.
+   *
+   * @private
+   * @param {string} data
+   */
+  _replay(data) {
+    const lines = data.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i]) continue;
+
+      let op;
+      try {
+        op = JSON.parse(lines[i]);
+      } catch {
+        console.warn(`Skipping corrupt line ${i + 1} of ${this.path}`);
+        continue;
+      }
+
+      if ('set' === op.op) this.map.set(op.key, op.entry);
+      else if ('del' === op.op) this.map.delete(op.key);
+    }
+  }
+}
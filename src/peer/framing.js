@@ -0,0 +1,201 @@
+import { CHUNK_HEADER_LEN, decodeChunk, encodeChunk } from './utils.js';
+import { MSG_CHUNK } from './constants.js';
+import { systemClock } from './clock.js';
+import { concatBytes } from './bytes.js';
+
+/**
+ * Largest frame handed to a transport. 16 KiB is accepted by every WebRTC
+ * implementation, well below the usual SCTP message-size limits.
+ */
+export const MAX_FRAME_SIZE = 16 * 1024;
+
+/**
+ * Largest message that is sent or reassembled.
+ */
+export const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+/**
+ * How long an incomplete message is kept waiting for its missing chunks.
+ */
+export const REASSEMBLY_TIMEOUT = 10_000;
+
+/**
+ * Incomplete messages kept per peer; further chunked messages are dropped
+ * until one completes or times out.
+ */
+const MAX_PARTIALS_PER_PEER = 8;
+
+/**
+ * Splits messages larger than a frame into CHUNK frames, and reassembles
+ * them on the receiving side.
+ *
+ * Messages that fit in one frame are sent unchanged, so peers only pay
+ * for framing on oversized messages.
+ */
+export class Framer {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxFrameSize]
+   * @param {number} [opts.maxMessageSize]
+   * @param {number} [opts.timeout] - Reassembly timeout in milliseconds.
+   * @param {typeof systemClock} [opts.clock]
+   */
+  constructor({
+    maxFrameSize = MAX_FRAME_SIZE,
+    maxMessageSize = MAX_MESSAGE_SIZE,
+    timeout = REASSEMBLY_TIMEOUT,
+    clock = systemClock,
+  } = {}) {
+    this.maxFrameSize = maxFrameSize;
+    this.maxMessageSize = maxMessageSize;
+    this.timeout = timeout;
+    this.clock = clock;
+
+    this.chunkSize = maxFrameSize - CHUNK_HEADER_LEN;
+    this.maxChunks = Math.ceil(maxMessageSize / this.chunkSize);
+    this.nextMessageId = 0;
+
+    /**
+     * Incomplete messages per peer, keyed by message ID.
+     *
+     * @type {Map<string, Map<number, {chunks: Uint8Array[], received: number, bytes: number, timer: any}>>}
+     */
+    this.partials = new Map();
+  }
+
+  /**
+   * Split a message into frames.
+   *
+   * @param {Uint8Array} buf
+   * @returns {Uint8Array[]}
+   */
+  split(buf) {
+    if (buf.length > this.maxMessageSize) {
+      throw new Error(
+        `Message of ${buf.length} bytes exceeds the ${this.maxMessageSize} byte limit`
+      );
+    }
+    if (buf.length <= this.maxFrameSize) return [buf];
+
+    const messageId = this.nextMessageId;
+    this.nextMessageId = (this.nextMessageId + 1) >>> 0;
+
+    const count = Math.ceil(buf.length / this.chunkSize);
+    const frames = [];
+
+    for (let seq = 0; seq < count; seq++) {
+      const data = buf.subarray(
+        seq * this.chunkSize,
+        (seq + 1) * this.chunkSize
+      );
+      frames.push(encodeChunk(messageId, seq, count, data));
+    }
+
+    return frames;
+  }
+
+  /**
+   * Handle a received CHUNK frame.
+   *
+   * @param {string} peerIdHex
+   * @param {Uint8Array} buf
+   * @returns {Uint8Array|null} The reassembled message once its last chunk
+   *   arrives, otherwise null.
+   */
+  receive(peerIdHex, buf) {
+    let chunk;
+    try {
+      chunk = decodeChunk(buf);
+    } catch {
+      return null;
+    }
+
+    const { messageId, seq, count, data } = chunk;
+    if (count < 2 || count > this.maxChunks || seq >= count) return null;
+
+    let partials = this.partials.get(peerIdHex);
+    let partial = partials?.get(messageId);
+
+    if (!partial) {
+      if (partials?.size >= MAX_PARTIALS_PER_PEER) return null;
+
+      if (!partials) {
+        partials = new Map();
+        this.partials.set(peerIdHex, partials);
+      }
+
+      partial = {
+        chunks: new Array(count),
+        received: 0,
+        bytes: 0,
+        timer: this.clock.setTimeout(
+          () => this._discard(peerIdHex, messageId),
+          this.timeout
+        ),
+      };
+      partials.set(messageId, partial);
+    }
+
+    if (partial.chunks.length !== count) {
+      this._discard(peerIdHex, messageId);
+      return null;
+    }
+    if (partial.chunks[seq]) return null;
+
+    partial.chunks[seq] = data;
+    partial.received++;
+    partial.bytes += data.length;
+
+    if (partial.bytes > this.maxMessageSize) {
+      this._discard(peerIdHex, messageId);
+      return null;
+    }
+    if (partial.received < count) return null;
+
+    this._discard(peerIdHex, messageId);
+
+    const message = concatBytes(partial.chunks);
+    if (MSG_CHUNK === message[0]) return null;
+
+    return message;
+  }
+
+  /**
+   * Forget a peer's incomplete messages.
+   *
+   * @param {string} peerIdHex
+   */
+  drop(peerIdHex) {
+    const partials = this.partials.get(peerIdHex);
+    if (!partials) return;
+
+    for (const partial of partials.values()) {
+      this.clock.clearTimeout(partial.timer);
+    }
+    this.partials.delete(peerIdHex);
+  }
+
+  /**
+   * Forget every incomplete message.
+   */
+  clear() {
+    for (const peerIdHex of [...this.partials.keys()]) {
+      this.drop(peerIdHex);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} peerIdHex
+   * @param {number} messageId
+   */
+  _discard(peerIdHex, messageId) {
+    const partials = this.partials.get(peerIdHex);
+    const partial = partials?.get(messageId);
+    if (!partial) return;
+
+    this.clock.clearTimeout(partial.timer);
+    partials.delete(messageId);
+    if (0 === partials.size) this.partials.delete(peerIdHex);
+  }
+}
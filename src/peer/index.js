@@ -1,12 +1,17 @@
 import 'dotenv/config';
 import { PeerNode } from './peer-node.js';
+import { iceConfigFromEnv } from './webrtc-transport.js';
+import { signalingUrlsFromEnv } from './signaling-client.js';
 
 /**
  * Bootstrap entrypoint for a DHT peer node.
  *
  * This script:
- * - Loads configuration from environment variables
- * - Creates a PeerNode instance
+ * - Loads configuration (signaling, ICE servers, data directory,
+ *   connection limits, network ID, bootstrap role) from environment
+ *   variables
+ * - Creates a PeerNode instance, keeping its identity, routing table and
+ *   records in DATA_DIR if set
  * - Connects to the signaling server
  * - Logs peer connections as they occur
  *
@@ -15,9 +20,15 @@ import { PeerNode } from './peer-node.js';
  * - Acts as a long-running background node
  */
 
-const SIGNAL_URL = `ws://${process.env.SIGNALLING_HOST || 'localhost'}:${process.env.SIGNALLING_PORT || 3000}`;
-
-const node = new PeerNode({ signalingUrl: SIGNAL_URL });
+const node = await PeerNode.create({
+  signalingUrls: signalingUrlsFromEnv(),
+  ...iceConfigFromEnv(),
+  dataDir: process.env.DATA_DIR,
+  maxConnections: Number(process.env.MAX_CONNECTIONS) || undefined,
+  minPeers: Number(process.env.MIN_PEERS) || undefined,
+  network: process.env.NETWORK_ID,
+  bootstrap: ['1', 'true'].includes(process.env.BOOTSTRAP),
+});
 
 console.log('Peer ID:', node.peerIdHex);
 
@@ -26,3 +37,10 @@ node.onPeerConnected = (peerId) => {
 };
 
 node.start();
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    await node.stop();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,41 @@
+import { RecordStorage } from './storage.js';
+
+/**
+ * Record storage backed by a `Map`. Entries are lost when the process
+ * exits. This is the default storage of PeerNode.
+ */
+export class MemoryStorage extends RecordStorage {
+  constructor() {
+    super();
+
+    /**
+     * @type {Map<string, object>}
+     */
+    this.map = new Map();
+  }
+
+  get(keyHex) {
+    return this.map.get(keyHex);
+  }
+
+  set(keyHex, entry) {
+    this.map.set(keyHex, entry);
+    return this;
+  }
+
+  delete(keyHex) {
+    return this.map.delete(keyHex);
+  }
+
+  has(keyHex) {
+    return this.map.has(keyHex);
+  }
+
+  entries() {
+    return this.map.entries();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+}
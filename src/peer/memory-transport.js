@@ -0,0 +1,217 @@
+import { Transport } from './transport.js';
+
+/**
+ * In-process network connecting MemoryTransport instances.
+ *
+ * Transports register under their node ID; dialing looks the remote
+ * transport up here, so no signaling server or offer/answer exchange is
+ * needed. Message delivery goes through `deliver`, which subclasses can
+ * override to model latency or loss.
+ */
+export class MemoryNetwork {
+  constructor() {
+    /**
+     * @type {Map<string, MemoryTransport>}
+     */
+    this.transports = new Map();
+  }
+
+  /**
+   * @param {string} nodeIdHex
+   * @param {MemoryTransport} transport
+   */
+  register(nodeIdHex, transport) {
+    this.transports.set(nodeIdHex, transport);
+  }
+
+  /**
+   * @param {string} nodeIdHex
+   */
+  unregister(nodeIdHex) {
+    this.transports.delete(nodeIdHex);
+  }
+
+  /**
+   * @param {string} nodeIdHex
+   * @returns {MemoryTransport|undefined}
+   */
+  get(nodeIdHex) {
+    return this.transports.get(nodeIdHex);
+  }
+
+  /**
+   * IDs of all registered transports.
+   *
+   * @returns {string[]}
+   */
+  nodeIds() {
+    return [...this.transports.keys()];
+  }
+
+  /**
+   * Whether a node can currently reach another one. Subclasses can
+   * override this to model crashed nodes or partitions.
+   *
+   * @param {string} fromHex
+   * @param {string} toHex
+   * @returns {boolean}
+   */
+  reachable(fromHex, toHex) {
+    return this.transports.has(fromHex) && this.transports.has(toHex);
+  }
+
+  /**
+   * Schedule a callback that delivers a message (or link event) from one
+   * node to another. Delivery is always asynchronous, on a timer rather
+   * than `setImmediate` so it also runs in browsers.
+   *
+   * @param {string} fromHex
+   * @param {string} toHex
+   * @param {Function} fn
+   * @param {number} [size=0] - Payload size in bytes, for subclasses.
+   */
+  deliver(fromHex, toHex, fn) {
+    setTimeout(fn, 0);
+  }
+}
+
+/**
+ * Loopback transport that links peers inside a single process.
+ *
+ * Links are symmetric: dialing a peer opens the link on both sides and
+ * closing it on one side emits `closed` on the other.
+ */
+export class MemoryTransport extends Transport {
+  /**
+   * @param {object} opts
+   * @param {MemoryNetwork} opts.network - Shared in-process network.
+   */
+  constructor({ network }) {
+    super();
+
+    this.network = network;
+
+    /**
+     * Peers with a link, mapped to whether it is open yet.
+     *
+     * @type {Map<string, boolean>}
+     */
+    this.links = new Map();
+  }
+
+  listen(nodeIdHex) {
+    super.listen(nodeIdHex);
+    this.network.register(nodeIdHex, this);
+  }
+
+  /**
+   * Open a link to a registered peer.
+   *
+   * @param {string} peerIdHex
+   */
+  async dial(peerIdHex) {
+    if (this.links.has(peerIdHex)) return;
+
+    const remote = this.network.get(peerIdHex);
+    if (
+      !remote ||
+      remote === this ||
+      !this.network.reachable(this.nodeIdHex, peerIdHex)
+    ) {
+      throw new Error(`Peer ${peerIdHex} is not reachable`);
+    }
+
+    this.links.set(peerIdHex, false);
+    remote.links.set(this.nodeIdHex, false);
+
+    this.network.deliver(this.nodeIdHex, peerIdHex, () =>
+      remote._linkUp(this.nodeIdHex)
+    );
+    this.network.deliver(peerIdHex, this.nodeIdHex, () =>
+      this._linkUp(peerIdHex)
+    );
+  }
+
+  /**
+   * Links are opened directly by `dial`, so there is nothing to accept.
+   */
+  async accept() {}
+
+  send(peerIdHex, buf) {
+    if (!this.links.get(peerIdHex)) return false;
+
+    const remote = this.network.get(peerIdHex);
+    if (!remote) return false;
+
+    const copy = new Uint8Array(buf);
+    this.network.deliver(
+      this.nodeIdHex,
+      peerIdHex,
+      () => remote._receive(this.nodeIdHex, copy),
+      copy.length
+    );
+    return true;
+  }
+
+  close(peerIdHex) {
+    if (!this.links.delete(peerIdHex)) return;
+
+    const remote = this.network.get(peerIdHex);
+    if (!remote) return;
+
+    this.network.deliver(this.nodeIdHex, peerIdHex, () =>
+      remote._linkDown(this.nodeIdHex)
+    );
+  }
+
+  has(peerIdHex) {
+    return this.links.has(peerIdHex);
+  }
+
+  isOpen(peerIdHex) {
+    return true === this.links.get(peerIdHex);
+  }
+
+  peerIds() {
+    return [...this.links.keys()];
+  }
+
+  /**
+   * Close every link and leave the network.
+   */
+  destroy() {
+    super.destroy();
+    this.network.unregister(this.nodeIdHex);
+  }
+
+  /**
+   * @private
+   * @param {string} peerIdHex
+   */
+  _linkUp(peerIdHex) {
+    if (!this.links.has(peerIdHex)) return;
+
+    this.links.set(peerIdHex, true);
+    this.emit('connected', peerIdHex);
+    this.emit('open', peerIdHex);
+  }
+
+  /**
+   * @private
+   * @param {string} peerIdHex
+   */
+  _linkDown(peerIdHex) {
+    if (!this.links.delete(peerIdHex)) return;
+    this.emit('closed', peerIdHex);
+  }
+
+  /**
+   * @private
+   * @param {string} peerIdHex
+   * @param {Uint8Array} buf
+   */
+  _receive(peerIdHex, buf) {
+    if (!this.links.get(peerIdHex)) return;
+    this.emit('message', peerIdHex, buf);
+  }
+}
@@ -1,5 +1,5 @@
 import {
-  createNodeId,
+  createIdentity,
   decodeMessage,
   encodePing,
   encodePong,
@@ -23,6 +23,14 @@ import {
   decodeHasValue,
   encodeHasValueResponse,
   decodeHasValueResponse,
+  signRecord,
+  verifyRecord,
+  generateMutableKeyId,
+  signMutableRecord,
+  verifyMutableRecord,
+  createImmutableRecord,
+  generateImmutableKeyId,
+  verifyImmutableRecord,
 } from './utils.js';
 
 import {
@@ -35,10 +43,18 @@ import {
   MSG_STORE,
   MSG_STORE_ACK,
   MSG_FIND_VALUE,
+  MSG_HAS_VALUE,
+  MSG_HAS_VALUE_RESPONSE,
 } from './constants.js';
 
+import { equalBytes, fromBase64, fromHex, toHex } from './bytes.js';
 import { ConnectionManager } from './connection-manager.js';
 import { RoutingTable } from './routing-table.js';
+import { systemClock } from './clock.js';
+import { MemoryStorage } from './memory-storage.js';
+import { FileStorage } from './file-storage.js';
+import { DataDir } from './data-dir.js';
+import { ReconnectManager, backoffDelay } from './reconnect-manager.js';
 
 const REFRESH_INTERVAL = 15 * 60 * 1000; // 15 minutes
 const CLEANUP_INTERVAL = 1 * 60 * 1000; // 1 minutes
@@ -47,6 +63,31 @@ const REPUBLISH_INTERVAL = 60 * 60 * 1000; // 1 hour
 const REPAIR_INTERVAL = 10 * 60 * 1000; // 10 minutes
 const LIVELINESS_INTERVAL = 5 * 60 * 1000; // 5 minutes
 const CACHE_TTL = STORE_TTL / 4;
+const MAX_CLOCK_SKEW = 10 * 60 * 1000; // 10 minutes
+const RESUME_DELAY = 30 * 1000; // 30 seconds
+const HANDOFF_TIMEOUT = 5 * 1000; // 5 seconds to hand records off on stop
+const PERSIST_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const RECENT_PEERS = 32;
+const RECONNECT_PEERS = 8;
+const RECONNECT_TIMEOUT = 15 * 1000; // 15 seconds per reconnect attempt
+
+/**
+ * Disconnect reasons after which a peer is worth re-dialing. Peers that
+ * said GOODBYE, failed the handshake or misbehaved are dropped for good.
+ */
+const TRANSIENT_DISCONNECTS = new Set(['closed', 'timeout']);
+
+/**
+ * Default periods of the background maintenance timers, in milliseconds.
+ */
+export const DEFAULT_INTERVALS = {
+  refresh: REFRESH_INTERVAL,
+  cleanup: CLEANUP_INTERVAL,
+  republish: REPUBLISH_INTERVAL,
+  repair: REPAIR_INTERVAL,
+  liveness: LIVELINESS_INTERVAL,
+  persist: PERSIST_INTERVAL,
+};
 
 /**
  * PeerNode implements a Kademlia-style DHT node.
@@ -59,51 +100,200 @@ const CACHE_TTL = STORE_TTL / 4;
  * - Perform background maintenance (refresh, republish, repair, liveness)
  */
 export class PeerNode {
+  /**
+   * Create a peer node, loading its identity from `opts.dataDir` or
+   * generating a new one when `opts.identity` is not given.
+   *
+   * Key generation is asynchronous in browsers, so this is the usual way to
+   * construct a node; the constructor needs an identity up front.
+   *
+   * @param {ConstructorParameters<typeof PeerNode>[0]} opts
+   * @returns {Promise<PeerNode>}
+   */
+  static async create(opts) {
+    let identity = opts.identity;
+    if (!identity && opts.dataDir) {
+      const dataDir = new DataDir(opts.dataDir);
+      identity = await dataDir.loadIdentity();
+      if (!identity) {
+        identity = await createIdentity();
+        dataDir.saveIdentity(identity);
+      }
+    }
+    return new PeerNode({
+      ...opts,
+      identity: identity ?? (await createIdentity()),
+    });
+  }
+
   /**
    * Create a new DHT peer node.
    *
-   * Generates a node ID, initializes routing state, storage,
-   * and sets up the underlying connection manager.
+   * Takes an Ed25519 identity (the node ID is the hash of its public key),
+   * initializes routing state, storage, and sets up the underlying
+   * connection manager. Use `PeerNode.create()` to have the identity
+   * generated or loaded from `dataDir`.
    *
    * @param {object} opts
-   * @param {string} opts.signalingUrl - Bootstrap signaling server URL
+   * @param {string} [opts.signalingUrl] - Bootstrap signaling server URL
+   * @param {string[]} [opts.signalingUrls] - Several signaling servers, used
+   *   together for failover; takes precedence over `signalingUrl`
+   * @param {import('./transport.js').Transport} [opts.transport] - Link
+   *   layer used by the connection manager (WebRTC by default)
+   * @param {RTCIceServer[]} [opts.iceServers] - STUN / TURN servers for the
+   *   default WebRTC transport; `[]` for host candidates only
+   * @param {'all'|'relay'} [opts.iceTransportPolicy] - `relay` to only use
+   *   TURN candidates
+   * @param {number} [opts.maxConnections] - Connection budget; peers outside
+   *   the routing table are evicted first when it is used up
+   * @param {number} [opts.minPeers] - Connected peers below which the
+   *   signaling server is used again to find peers
+   * @param {import('./utils.js').Identity} opts.identity - Key pair and
+   *   node ID, from `createIdentity()`
+   * @param {string} [opts.network] - ID of the DHT network to join; nodes
+   *   only connect to peers on the same network (the default one if unset)
+   * @param {boolean} [opts.bootstrap] - Stay registered with the signaling
+   *   servers as a long-lived bootstrap node for joining peers
+   * @param {number} [opts.k=20] - Bucket size and replication factor
+   * @param {number} [opts.alpha=3] - Lookup parallelism
+   * @param {Partial<typeof DEFAULT_INTERVALS>} [opts.intervals] - Overrides
+   *   for the maintenance timer periods
+   * @param {typeof systemClock} [opts.clock] - Time source and timers
+   * @param {() => number} [opts.random] - Uniform [0, 1) random source
+   * @param {import('./storage.js').RecordStorage} [opts.storage] - Record
+   *   store (in memory by default, or a FileStorage in `dataDir`)
+   * @param {string} [opts.dataDir] - Directory where the identity, routing
+   *   table, recent peers and records are kept across restarts
    */
-  constructor({ signalingUrl }) {
-    this.signalingUrl = signalingUrl;
+  constructor({
+    signalingUrl,
+    signalingUrls,
+    transport,
+    iceServers,
+    iceTransportPolicy,
+    maxConnections,
+    minPeers,
+    identity,
+    network,
+    bootstrap,
+    k = 20,
+    alpha = 3,
+    intervals,
+    clock = systemClock,
+    random = Math.random,
+    storage,
+    dataDir,
+  }) {
+    this.signalingUrls = signalingUrls ?? (signalingUrl ? [signalingUrl] : []);
+    this.clock = clock;
+    this.random = random;
+    this.intervals = { ...DEFAULT_INTERVALS, ...intervals };
+
+    if (!identity) {
+      throw new Error('PeerNode needs an identity; use PeerNode.create()');
+    }
 
-    this.peerId = createNodeId();
-    this.peerIdHex = this.peerId.toString('hex');
+    this.dataDir = dataDir ? new DataDir(dataDir) : null;
+
+    this.identity = identity;
+    this.peerId = this.identity.nodeId;
+    this.peerIdHex = toHex(this.peerId);
 
     this.onFindNodeResponse = null;
     this.onPeerConnected = null;
-
-    this.store = new Map();
+    this.onLookup = null;
+
+    this.store =
+      storage ??
+      (this.dataDir
+        ? new FileStorage({ path: this.dataDir.recordsPath })
+        : new MemoryStorage());
+
+    /**
+     * Recently connected peers and when they were last seen connected,
+     * saved to `dataDir` so a restarted node can reconnect to them.
+     *
+     * @type {Map<string, number>}
+     */
+    this.recentPeers = new Map();
+    this.stopped = false;
 
     this.pendingPings = new Map();
     this.pendingRequests = new Map();
     this.seenRequests = new Map();
-    this.ALPHA = 3;
-    this.K = 20;
+    this.ALPHA = alpha;
+    this.K = k;
     this.MAX_DIALS = 4;
     this.DIAL_BACKOFF = 60_000;
     this.inflightDials = new Set();
+
+    /**
+     * Peers dialed only to query them during a lookup. They join the
+     * routing table like any contact, but their links stay evictable
+     * unless they are among its K closest nodes.
+     *
+     * @type {Set<string>}
+     */
+    this.lookupPeers = new Set();
+
+    /**
+     * Peers whose last dials failed: how many times in a row, and when
+     * they may be dialed again.
+     *
+     * @type {Map<string, {failures: number, until: number}>}
+     */
     this.failedDials = new Map();
 
+    this.reconnects = new ReconnectManager({
+      dial: (peerIdHex) => this._redial(peerIdHex),
+      clock,
+      random,
+    });
+    this.reconnects.on('giveUp', (peerIdHex) => {
+      this.routingTable.removeNode(fromHex(peerIdHex));
+    });
+
     this.conn = new ConnectionManager({
       nodeId: this.peerId,
-      signalingUrl,
+      identity: this.identity,
+      network,
+      bootstrap,
+      signalingUrls: this.signalingUrls,
+      transport,
+      iceServers,
+      iceTransportPolicy,
+      maxConnections,
+      minPeers,
+      clock,
     });
 
     this.routingTable = new RoutingTable({
       nodeId: this.peerId,
-      k: 20,
+      k,
+      clock,
     });
 
     this.conn.routeSignal = (targetHex) => {
-      const target = Buffer.from(targetHex, 'hex');
+      const target = fromHex(targetHex);
+      const connected = new Set(this.conn.getConnectedPeers());
       return this.routingTable
-        .findClosest(target, this.ALPHA)
-        .map((b) => b.toString('hex'));
+        .findClosest(target, this.K)
+        .map((b) => toHex(b))
+        .filter((hex) => connected.has(hex))
+        .slice(0, this.ALPHA);
+    };
+
+    // Keep routing-table members, except links opened for a lookup, which
+    // are only kept for the closest neighbours. Every connected peer joins
+    // the table, so membership alone would protect almost every link.
+    this.conn.keepPeer = (peerIdHex) => {
+      const nodeId = fromHex(peerIdHex);
+      if (!this.routingTable.has(nodeId)) return false;
+      if (!this.lookupPeers.has(peerIdHex)) return true;
+
+      return this.routingTable
+        .findClosest(this.peerId, this.K)
+        .some((id) => equalBytes(id, nodeId));
     };
 
     this.conn.on('message', (peerIdHex, buf) =>
@@ -111,95 +301,133 @@ export class PeerNode {
     );
 
     this.conn.on('peerConnected', (peerIdHex) => {
-      const nodeId = Buffer.from(peerIdHex, 'hex');
+      const nodeId = fromHex(peerIdHex);
       this.maybeAddNode(nodeId);
       this.failedDials.delete(peerIdHex);
+      this.reconnects.cancel(peerIdHex);
+      this.recentPeers.set(peerIdHex, this.clock.now());
       this.onPeerConnected?.(peerIdHex);
     });
 
-    this.conn.on('peerDisconnected', (peerIdHex) => {
-      this.routingTable.removeNode(Buffer.from(peerIdHex, 'hex'));
+    // Routing-table members and replica holders that drop out for a
+    // transient reason stay in the table while they are re-dialed, and
+    // are only removed once the ReconnectManager gives up on them.
+    this.conn.on('peerDisconnected', (peerIdHex, reason) => {
+      this.lookupPeers.delete(peerIdHex);
+      if (this.recentPeers.has(peerIdHex)) {
+        this.recentPeers.set(peerIdHex, this.clock.now());
+      }
+
+      if (
+        !this.stopped &&
+        TRANSIENT_DISCONNECTS.has(reason) &&
+        this._isImportant(peerIdHex)
+      ) {
+        this.reconnects.schedule(peerIdHex);
+        return;
+      }
+
+      this.reconnects.cancel(peerIdHex);
+      this.routingTable.removeNode(fromHex(peerIdHex));
     });
   }
 
   /**
    * Start the peer node.
    *
-   * Connects to the signaling server, initializes background
-   * maintenance tasks, and begins routing-table upkeep.
+   * Opens the record store, connects to the signaling server, initializes
+   * background maintenance tasks, and begins routing-table upkeep. Records
+   * this node published before a restart are republished and repaired
+   * shortly after boot. With a `dataDir`, the saved routing table is
+   * restored and the most recent peers are dialed again.
    */
   async start() {
-    console.log('Connecting to signalling server at', this.signalingUrl);
+    this.store.open();
+
+    if (this.signalingUrls.length) {
+      console.log(
+        'Connecting to signalling servers at',
+        this.signalingUrls.join(', ')
+      );
+    }
     this.conn.start();
+    this._loadState();
+
+    if ([...this.store].some(([, entry]) => entry.publisher)) {
+      this._resumeTimer = this.clock.setTimeout(() => {
+        this._republish()
+          .then(() => this._repairReplicas())
+          .catch(() => {});
+      }, RESUME_DELAY);
+    }
 
-    this._bucketRefreshTimer = setInterval(() => {
-      const now = Date.now();
+    this._bucketRefreshTimer = this.clock.setInterval(() => {
+      const now = this.clock.now();
 
       this.routingTable.buckets.forEach((bucket) => {
-        if (now - bucket.lastUsed > REFRESH_INTERVAL) {
-          const target = Buffer.from(this.peerId);
-          const bit = Math.floor(Math.random() * target.length * 8);
+        if (now - bucket.lastUsed > this.intervals.refresh) {
+          const target = new Uint8Array(this.peerId);
+          const bit = Math.floor(this.random() * target.length * 8);
           target[Math.floor(bit / 8)] ^= 1 << (7 - (bit % 8));
-          this.iterativeFindNode(target);
+          this.iterativeFindNode(target).catch(() => {});
         }
       });
-    }, REFRESH_INTERVAL);
+    }, this.intervals.refresh);
 
-    setInterval(() => {
-      const now = Date.now();
+    this._cleanupTimer = this.clock.setInterval(() => {
+      const now = this.clock.now();
       for (const [k, ts] of this.seenRequests) {
-        if (now - ts > CLEANUP_INTERVAL) this.seenRequests.delete(k);
+        if (now - ts > this.intervals.cleanup) this.seenRequests.delete(k);
       }
-    }, CLEANUP_INTERVAL);
-
-    this._republishTimer = setInterval(async () => {
-      const now = Date.now();
 
+      // Published records are dropped by _repairReplicas once expired.
       for (const [keyHex, entry] of this.store) {
-        if (!entry.publisher) continue;
-        if (entry.expires <= now) continue;
-
-        const keyId = Buffer.from(keyHex, 'hex');
-        const closest = await this.iterativeFindNode(keyId);
-
-        for (const node of closest.slice(0, this.K)) {
-          const hex = node.toString('hex');
-          if (this.conn.getConnectedPeers().includes(hex)) {
-            const msgId = generateMessageId();
-            this.conn.send(hex, encodeStore(msgId, keyId, entry.record));
-          }
+        if (!entry.publisher && entry.expires <= now) {
+          this.store.delete(keyHex);
         }
       }
-    }, REPUBLISH_INTERVAL);
+    }, this.intervals.cleanup);
+
+    this._republishTimer = this.clock.setInterval(() => {
+      this._republish().catch(() => {});
+    }, this.intervals.republish);
+
+    if (this.dataDir) {
+      this._persistTimer = this.clock.setInterval(
+        () => this.saveState(),
+        this.intervals.persist
+      );
+    }
 
-    this._repairTimer = setInterval(() => {
+    this._repairTimer = this.clock.setInterval(() => {
       this._repairReplicas().catch(() => {});
-    }, REPAIR_INTERVAL);
+    }, this.intervals.repair);
 
-    this._bucketPingTimer = setInterval(() => {
+    this._bucketPingTimer = this.clock.setInterval(() => {
       for (let i = 0; i < this.routingTable.buckets.length; i++) {
         const node = this.routingTable.getLeastRecentlySeen(i);
         if (!node) continue;
 
-        const hex = node.toString('hex');
+        const hex = toHex(node);
+        if (this.reconnects.has(hex)) continue;
+
         if (!this.conn.getConnectedPeers().includes(hex)) {
           const dead = this.routingTable.getLeastRecentlySeen(i);
-          if (dead) this.conn._dropPeer(dead.toString('hex'));
+          if (dead) this.conn._dropPeer(toHex(dead));
           this.routingTable.evict(i);
           this.routingTable.promoteReplacement(i);
           continue;
         }
 
-        this.pingWithTimeout(hex).then((alive) => {
-          if (!alive) {
-            const dead = this.routingTable.getLeastRecentlySeen(i);
-            if (dead) this.conn._dropPeer(dead.toString('hex'));
-            this.routingTable.evict(i);
-            this.routingTable.promoteReplacement(i);
-          }
-        });
+        // An unanswered ping drops the link; the node is then re-dialed
+        // and only evicted if that keeps failing.
+        this.pingWithTimeout(hex)
+          .then((alive) => {
+            if (!alive) this.conn._dropPeer(hex, 'timeout');
+          })
+          .catch(() => {});
       }
-    }, LIVELINESS_INTERVAL);
+    }, this.intervals.liveness);
   }
 
   /**
@@ -207,7 +435,7 @@ export class PeerNode {
    *
    * Applies Kademlia eviction rules if the target bucket is full.
    *
-   * @param {Buffer} nodeId
+   * @param {Uint8Array} nodeId
    */
   maybeAddNode(nodeId) {
     const result = this.routingTable.addOrUpdateNode(nodeId);
@@ -217,7 +445,11 @@ export class PeerNode {
     const lru = this.routingTable.getLeastRecentlySeen(bucketIndex);
     if (!lru) return;
 
-    const lruHex = lru.toString('hex');
+    const lruHex = toHex(lru);
+
+    // Keep a node that is being reconnected; the new one stays a
+    // replacement.
+    if (this.reconnects.has(lruHex)) return;
 
     if (!this.conn.getConnectedPeers().includes(lruHex)) {
       this.routingTable.evict(bucketIndex);
@@ -226,13 +458,16 @@ export class PeerNode {
       return;
     }
 
-    this.pingWithTimeout(lruHex).then((alive) => {
-      if (!alive) {
-        this.routingTable.evict(bucketIndex);
-        this.routingTable.promoteReplacement(bucketIndex);
-        this.routingTable.addOrUpdateNode(nodeId);
-      }
-    });
+    // Rejected if the node stops while waiting; nothing to evict then.
+    this.pingWithTimeout(lruHex)
+      .then((alive) => {
+        if (!alive) {
+          this.routingTable.evict(bucketIndex);
+          this.routingTable.promoteReplacement(bucketIndex);
+          this.routingTable.addOrUpdateNode(nodeId);
+        }
+      })
+      .catch(() => {});
   }
 
   /**
@@ -242,7 +477,7 @@ export class PeerNode {
    * protocol handler (PING, FIND_NODE, STORE, etc).
    *
    * @param {string} peerIdHex
-   * @param {Buffer} buf
+   * @param {Uint8Array} buf
    */
   handleMessage(peerIdHex, buf) {
     const { type, content } = decodeMessage(buf);
@@ -250,11 +485,11 @@ export class PeerNode {
     switch (type) {
       case MSG_PING: {
         const nodeId = content.subarray(0, NODE_ID_LEN);
-        const nodeIdHex = nodeId.toString('hex');
+        const nodeIdHex = toHex(nodeId);
 
         if (nodeIdHex !== peerIdHex) {
           console.warn('NodeId mismatch, dropping peer', peerIdHex);
-          this.conn._dropPeer(peerIdHex);
+          this.conn._dropPeer(peerIdHex, 'invalid');
           return;
         }
 
@@ -265,38 +500,38 @@ export class PeerNode {
 
       case MSG_PONG: {
         const nodeId = content.subarray(0, NODE_ID_LEN);
-        const nodeIdHex = nodeId.toString('hex');
+        const nodeIdHex = toHex(nodeId);
 
         if (nodeIdHex !== peerIdHex) {
           console.warn('NodeId mismatch, dropping peer', peerIdHex);
-          this.conn._dropPeer(peerIdHex);
+          this.conn._dropPeer(peerIdHex, 'invalid');
           return;
         }
 
         this.maybeAddNode(nodeId);
 
-        const cb = this.pendingPings.get(peerIdHex);
-        if (cb) {
+        const pending = this.pendingPings.get(peerIdHex);
+        if (pending) {
           this.pendingPings.delete(peerIdHex);
-          cb();
+          pending.resolve(true);
         }
         break;
       }
 
       case MSG_FIND_NODE: {
         const { messageId, targetNodeId } = decodeFindNode(buf);
-        const key = peerIdHex + ':' + messageId.toString('hex');
+        const key = peerIdHex + ':' + toHex(messageId);
 
         if (this.seenRequests.has(key)) return;
-        this.seenRequests.set(key, Date.now());
+        this.seenRequests.set(key, this.clock.now());
 
         const closest = this.routingTable.findClosest(targetNodeId, this.K);
 
         this.conn.send(peerIdHex, encodeFindNodeResponse(messageId, closest));
 
         for (const [keyHex, entry] of this.store) {
-          const keyId = Buffer.from(keyHex, 'hex');
-          const peerId = Buffer.from(peerIdHex, 'hex');
+          const keyId = fromHex(keyHex);
+          const peerId = fromHex(peerIdHex);
 
           const closest = this.routingTable.findClosest(keyId, this.K);
           const furthest = closest[closest.length - 1];
@@ -319,18 +554,18 @@ export class PeerNode {
 
       case MSG_FIND_NODE_RESPONSE: {
         const { messageId, nodes } = decodeFindNodeResponse(buf);
-        const key = messageId.toString('hex');
+        const key = toHex(messageId);
 
-        const cb = this.pendingRequests.get(key);
-        if (!cb) return;
+        const pending = this.pendingRequests.get(key);
+        if (!pending) return;
 
         const clean = [];
 
         for (const node of nodes.slice(0, this.K)) {
           if (
-            !Buffer.isBuffer(node) ||
+            !(node instanceof Uint8Array) ||
             node.length !== this.peerId.length ||
-            node.equals(this.peerId)
+            equalBytes(node, this.peerId)
           )
             continue;
 
@@ -338,57 +573,36 @@ export class PeerNode {
         }
 
         this.pendingRequests.delete(key);
-        cb(clean);
+        pending.resolve(clean);
         break;
       }
 
-      case MSG_STORE: {
-        const { messageId, key, record } = decodeStore(buf);
-        const keyHex = key.toString('hex');
-
-        const now = Date.now();
-
-        const existing = this.store.get(keyHex);
-        if (
-          existing &&
-          existing.expires > now &&
-          !this._isNewer(record, existing.record)
-        ) {
-          return;
-        }
-
-        this.store.set(keyHex, {
-          record,
-          expires: Date.now() + STORE_TTL,
-          publisher: false,
-          lastRepair: 0,
-        });
-
-        this.conn.send(peerIdHex, encodeStoreAck(messageId));
-        this.maybeAddNode(Buffer.from(peerIdHex, 'hex'));
+      case MSG_STORE:
+        this._handleStore(peerIdHex, buf).catch((err) =>
+          console.warn('Invalid STORE from', peerIdHex, err.message)
+        );
         break;
-      }
 
       case MSG_STORE_ACK: {
         const { messageId } = decodeStoreAck(buf);
-        const key = messageId.toString('hex');
+        const key = toHex(messageId);
 
-        this.maybeAddNode(Buffer.from(peerIdHex, 'hex'));
+        this.maybeAddNode(fromHex(peerIdHex));
 
-        const cb = this.pendingRequests.get(key);
-        if (!cb) return;
+        const pending = this.pendingRequests.get(key);
+        if (!pending) return;
 
         this.pendingRequests.delete(key);
-        cb(true);
+        pending.resolve(true);
         break;
       }
 
       case MSG_FIND_VALUE: {
         const { messageId, key } = decodeFindValue(buf);
-        const keyHex = key.toString('hex');
+        const keyHex = toHex(key);
 
         const entry = this.store.get(keyHex);
-        if (entry && entry.expires > Date.now()) {
+        if (entry && entry.expires > this.clock.now()) {
           this.conn.send(
             peerIdHex,
             encodeFindValueResponse(messageId, entry.record)
@@ -406,22 +620,22 @@ export class PeerNode {
 
       case MSG_FIND_VALUE_RESPONSE: {
         const { messageId, record, nodes } = decodeFindValueResponse(buf);
-        const key = messageId.toString('hex');
+        const key = toHex(messageId);
 
-        const cb = this.pendingRequests.get(key);
-        if (!cb) return;
+        const pending = this.pendingRequests.get(key);
+        if (!pending) return;
 
         this.pendingRequests.delete(key);
-        cb({ record, nodes });
+        pending.resolve({ record, nodes });
         break;
       }
 
       case MSG_HAS_VALUE: {
         const { messageId, key } = decodeHasValue(buf);
-        const keyHex = key.toString('hex');
+        const keyHex = toHex(key);
 
         const entry = this.store.get(keyHex);
-        const has = entry && entry.expires > Date.now();
+        const has = entry && entry.expires > this.clock.now();
 
         this.conn.send(peerIdHex, encodeHasValueResponse(messageId, has));
         break;
@@ -429,13 +643,13 @@ export class PeerNode {
 
       case MSG_HAS_VALUE_RESPONSE: {
         const { messageId, has } = decodeHasValueResponse(buf);
-        const key = messageId.toString('hex');
+        const key = toHex(messageId);
 
-        const cb = this.pendingRequests.get(key);
-        if (!cb) return;
+        const pending = this.pendingRequests.get(key);
+        if (!pending) return;
 
         this.pendingRequests.delete(key);
-        cb(has);
+        pending.resolve(has);
         break;
       }
 
@@ -448,9 +662,10 @@ export class PeerNode {
    * Send a PING to a peer.
    *
    * @param {string} peerIdHex
+   * @returns {Promise<void>} Settles like `ConnectionManager#send`.
    */
   ping(peerIdHex) {
-    this.conn.send(peerIdHex, encodePing(this.peerId));
+    return this.conn.send(peerIdHex, encodePing(this.peerId));
   }
 
   /**
@@ -463,19 +678,20 @@ export class PeerNode {
    * @returns {Promise<boolean>}
    */
   pingWithTimeout(peerIdHex, timeout = 3000) {
-    return new Promise((resolve) => {
-      const timer = setTimeout(() => {
-        this.pendingPings.delete(peerIdHex);
-        resolve(false);
-      }, timeout);
-
-      this.pendingPings.set(peerIdHex, () => {
-        clearTimeout(timer);
-        resolve(true);
-      });
+    const pong = this._awaitResponse(
+      this.pendingPings,
+      peerIdHex,
+      timeout,
+      false
+    );
 
-      this.ping(peerIdHex);
-    });
+    this._sendRequest(
+      this.pendingPings,
+      peerIdHex,
+      peerIdHex,
+      encodePing(this.peerId)
+    );
+    return pong;
   }
 
   /**
@@ -484,8 +700,8 @@ export class PeerNode {
    * Queries peers in parallel (α at a time), progressively
    * refining the shortlist until convergence or timeout.
    *
-   * @param {Buffer} targetNodeId
-   * @returns {Promise<Buffer[]>}
+   * @param {Uint8Array} targetNodeId
+   * @returns {Promise<Uint8Array[]>}
    */
   async iterativeFindNode(targetNodeId) {
     let shortlist = this.routingTable.findClosest(targetNodeId, this.K);
@@ -493,6 +709,7 @@ export class PeerNode {
     let closestQueried = null;
     const MAX_ROUNDS = 5;
     let rounds = 0;
+    let hops = 0;
 
     while (rounds++ < MAX_ROUNDS) {
       const connected = new Set(this.conn.getConnectedPeers());
@@ -500,7 +717,7 @@ export class PeerNode {
       const batch = [];
 
       for (const node of shortlist) {
-        const hex = node.toString('hex');
+        const hex = toHex(node);
         if (queried.has(hex)) continue;
 
         if (!connected.has(hex)) {
@@ -513,10 +730,11 @@ export class PeerNode {
       }
 
       if (0 === batch.length) break;
+      hops++;
 
       const responses = await Promise.all(
         batch.map((node) => {
-          const hex = node.toString('hex');
+          const hex = toHex(node);
           queried.add(hex);
           if (
             !closestQueried ||
@@ -535,8 +753,8 @@ export class PeerNode {
 
       for (const nodes of responses) {
         for (const n of nodes) {
-          if (n.equals(this.peerId)) continue;
-          if (!shortlist.some((x) => x.equals(n))) {
+          if (equalBytes(n, this.peerId)) continue;
+          if (!shortlist.some((x) => equalBytes(x, n))) {
             shortlist.push(n);
             changed = true;
           }
@@ -555,6 +773,13 @@ export class PeerNode {
       if (!changed) break;
     }
 
+    this.onLookup?.({
+      type: 'FIND_NODE',
+      target: targetNodeId,
+      hops,
+      queried: queried.size,
+    });
+
     return shortlist;
   }
 
@@ -566,10 +791,10 @@ export class PeerNode {
    * connection to become ready.
    *
    * @param {string} peerIdHex - Hex-encoded identifier of the target peer.
-   * @param {Buffer} targetNodeId - The node ID being searched for.
+   * @param {Uint8Array} targetNodeId - The node ID being searched for.
    * @param {number} [timeout=5000] - Maximum time to wait for a response,
    *   in milliseconds.
-   * @returns {Promise<Buffer[]>} Resolves with an array of node IDs returned
+   * @returns {Promise<Uint8Array[]>} Resolves with an array of node IDs returned
    *   by the peer, or an empty array on timeout or failure.
    */
   async sendFindNode(peerIdHex, targetNodeId, timeout = 5000) {
@@ -579,30 +804,33 @@ export class PeerNode {
       if (!ok) return [];
     }
 
-    return new Promise((resolve) => {
-      const messageId = generateMessageId();
-      const key = messageId.toString('hex');
-
-      const timer = setTimeout(() => {
-        this.pendingRequests.delete(key);
-        this.routingTable.removeNode(Buffer.from(peerIdHex, 'hex'));
-        resolve([]);
-      }, timeout);
-
-      this.pendingRequests.set(key, (nodes) => {
-        clearTimeout(timer);
-        resolve(nodes);
-      });
+    // A timeout drops the link like a failed ping: the peer is re-dialed
+    // and only leaves the routing table if that keeps failing.
+    const messageId = generateMessageId();
+    const response = this._awaitResponse(
+      this.pendingRequests,
+      toHex(messageId),
+      timeout,
+      [],
+      () => this.conn._dropPeer(peerIdHex, 'timeout')
+    );
 
-      this.conn.send(peerIdHex, encodeFindNode(messageId, targetNodeId));
-    });
+    this._sendRequest(
+      this.pendingRequests,
+      toHex(messageId),
+      peerIdHex,
+      encodeFindNode(messageId, targetNodeId)
+    );
+    return response;
   }
 
   /**
    * Attempt to establish a connection to a peer if not already connected.
    *
-   * The method respects the maximum number of concurrent dials and back‑off
-   * policy for peers that have recently failed to connect.
+   * The method respects the maximum number of concurrent dials, the
+   * connection budget, and back‑off policy for peers that have recently
+   * failed to connect. Peers being reconnected are left to the
+   * ReconnectManager.
    *
    * @param {string} peerIdHex - Hex-encoded identifier of the peer to dial.
    * @returns {void}
@@ -611,18 +839,20 @@ export class PeerNode {
     if (this.conn.getConnectedPeers().includes(peerIdHex)) return;
     if (this.inflightDials.has(peerIdHex)) return;
     if (this.inflightDials.size >= this.MAX_DIALS) return;
+    if (!this.conn.canConnect()) return;
+    if (this.reconnects.has(peerIdHex)) return;
 
-    const lastFail = this.failedDials.get(peerIdHex);
-    if (lastFail && Date.now() - lastFail < this.DIAL_BACKOFF) {
-      return;
-    }
+    const failed = this.failedDials.get(peerIdHex);
+    if (failed && this.clock.now() < failed.until) return;
 
     this.inflightDials.add(peerIdHex);
+    this.lookupPeers.add(peerIdHex);
 
     this.conn
       .connect(peerIdHex)
       .catch(() => {
-        this.failedDials.set(peerIdHex, Date.now());
+        this.lookupPeers.delete(peerIdHex);
+        this._dialFailed(peerIdHex);
       })
       .finally(() => {
         this.inflightDials.delete(peerIdHex);
@@ -653,23 +883,133 @@ export class PeerNode {
    * Publishes the record to the K closest peers and waits
    * for a write quorum before succeeding.
    *
-   * @param {string|Buffer} key
-   * @param {Buffer|string} value
+   * @param {string|Uint8Array} key
+   * @param {Uint8Array|string} value
    * @returns {Promise<boolean>}
    */
   async storeValue(key, value) {
-    const keyId = generateKeyId(key);
-    const keyHex = keyId.toString('hex');
-    const closest = await this.iterativeFindNode(keyId);
-    const targets = closest.slice(0, this.K).map((n) => n.toString('hex'));
+    const keyId = await generateKeyId(key);
+    const record = await signRecord(
+      this.identity,
+      keyId,
+      value,
+      this.clock.now()
+    );
 
-    const record = {
-      data: Buffer.from(value).toString('base64'),
-      ts: Date.now(),
-      pub: this.peerIdHex,
-    };
+    await this._publish(keyId, record);
+    return true;
+  }
+
+  /**
+   * Retrieve a value from the DHT.
+   *
+   * Uses iterative FIND_VALUE lookup with caching and
+   * opportunistic replication.
+   *
+   * @param {string|Uint8Array} key
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async findValue(key) {
+    const record = await this._lookupRecord(await generateKeyId(key));
+    if (!record) return null;
+
+    return fromBase64(record.data);
+  }
+
+  /**
+   * Store a blob under the hash of its content.
+   *
+   * Every node checks that the data hashes to the key, so the value
+   * returned by `getImmutable` cannot be substituted.
+   *
+   * @param {Uint8Array|string} value
+   * @returns {Promise<Uint8Array>} The key, from `generateImmutableKeyId`.
+   */
+  async putImmutable(value) {
+    const keyId = await generateImmutableKeyId(value);
 
-    await new Promise((r) => setTimeout(r, 1500));
+    await this._publish(keyId, createImmutableRecord(value));
+    return keyId;
+  }
+
+  /**
+   * Retrieve a blob by the hash of its content.
+   *
+   * @param {Uint8Array|string} hash - Raw or hex-encoded key from `putImmutable`.
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async getImmutable(hash) {
+    const keyId = hash instanceof Uint8Array ? hash : fromHex(hash);
+
+    const record = await this._lookupRecord(keyId);
+    if ('immutable' !== record?.type) return null;
+
+    return fromBase64(record.data);
+  }
+
+  /**
+   * Publish a mutable record owned by a key pair.
+   *
+   * The DHT key is `SHA-256(publicKey || salt)`, so one key pair can own
+   * several records by using different salts. Updates are ordered by `seq`:
+   * peers only replace a stored record with one carrying a higher sequence
+   * number. If `seq` is omitted, the current record is looked up and the
+   * next number is used.
+   *
+   * @param {Uint8Array|string} value
+   * @param {object} [opts]
+   * @param {import('./utils.js').Identity} [opts.keys] - Owner key pair, defaults to this node's identity.
+   * @param {Uint8Array|string} [opts.salt] - Up to 64 bytes.
+   * @param {number} [opts.seq]
+   * @returns {Promise<{key: Uint8Array, seq: number}>}
+   */
+  async putMutable(value, { keys = this.identity, salt = '', seq } = {}) {
+    const keyId = await generateMutableKeyId(keys.publicKey, salt);
+
+    if (seq === undefined) {
+      const current = await this._lookupRecord(keyId);
+      seq = 'mutable' === current?.type ? current.seq + 1 : 0;
+    }
+
+    const record = await signMutableRecord(keys, value, seq, salt);
+    await this._publish(keyId, record);
+
+    return { key: keyId, seq };
+  }
+
+  /**
+   * Retrieve the latest mutable record of a key pair.
+   *
+   * @param {Uint8Array|string} publicKey - Raw or hex-encoded Ed25519 public key.
+   * @param {object} [opts]
+   * @param {Uint8Array|string} [opts.salt]
+   * @returns {Promise<{value: Uint8Array, seq: number}|null>}
+   */
+  async getMutable(publicKey, { salt = '' } = {}) {
+    const pk = publicKey instanceof Uint8Array ? publicKey : fromHex(publicKey);
+
+    const record = await this._lookupRecord(
+      await generateMutableKeyId(pk, salt)
+    );
+    if ('mutable' !== record?.type) return null;
+
+    return { value: fromBase64(record.data), seq: record.seq };
+  }
+
+  /**
+   * Send a record to the K closest peers and wait for a write quorum,
+   * then keep it locally as its publisher.
+   *
+   * @private
+   * @param {Uint8Array} keyId
+   * @param {object} record
+   */
+  async _publish(keyId, record) {
+    const keyHex = toHex(keyId);
+    const closest = await this.iterativeFindNode(keyId);
+    const targets = closest.slice(0, this.K).map((n) => toHex(n));
+
+    await new Promise((r) => this.clock.setTimeout(r, 1500));
 
     const W = Math.ceil(this.K / 2);
     let acks = 0;
@@ -677,22 +1017,21 @@ export class PeerNode {
     for (const hex of targets) {
       if (!this.conn.getConnectedPeers().includes(hex)) continue;
 
-      const ok = await new Promise((resolve) => {
-        const msgId = generateMessageId();
-        const reqKey = msgId.toString('hex');
-
-        const timer = setTimeout(() => {
-          this.pendingRequests.delete(reqKey);
-          resolve(false);
-        }, 5000);
-
-        this.pendingRequests.set(reqKey, () => {
-          clearTimeout(timer);
-          resolve(true);
-        });
+      const msgId = generateMessageId();
+      const ack = this._awaitResponse(
+        this.pendingRequests,
+        toHex(msgId),
+        5000,
+        false
+      );
 
-        this.conn.send(hex, encodeStore(msgId, keyId, record));
-      });
+      this._sendRequest(
+        this.pendingRequests,
+        toHex(msgId),
+        hex,
+        encodeStore(msgId, keyId, record)
+      );
+      const ok = await ack;
 
       if (ok) {
         acks++;
@@ -706,41 +1045,42 @@ export class PeerNode {
 
     this.store.set(keyHex, {
       record,
-      expires: Date.now() + STORE_TTL,
+      expires: this.clock.now() + STORE_TTL,
       publisher: true,
       lastRepair: 0,
     });
-
-    return true;
   }
 
   /**
-   * Retrieve a value from the DHT.
+   * Find the newest valid record for a key.
    *
    * Uses iterative FIND_VALUE lookup with caching and
    * opportunistic replication.
    *
-   * @param {string|Buffer} key
-   * @returns {Promise<Buffer|null>}
+   * @private
+   * @param {Uint8Array} keyId
+   * @returns {Promise<object|null>}
    */
-  async findValue(key) {
-    const keyId = generateKeyId(key);
-    const keyHex = keyId.toString('hex');
+  async _lookupRecord(keyId) {
+    const keyHex = toHex(keyId);
 
     const local = this.store.get(keyHex);
-    if (local && local.expires > Date.now()) {
-      return Buffer.from(local.record.data, 'base64');
+    if (local && local.expires > this.clock.now()) {
+      return local.record;
     }
 
     let shortlist = this.routingTable.findClosest(keyId, this.K);
     const queried = new Set();
     let closestQueried = null;
+    const MAX_IDLE_ROUNDS = 50;
+    let idleRounds = 0;
+    let hops = 0;
 
     let bestRecord = null;
 
     while (true) {
       const batch = shortlist
-        .filter((n) => !queried.has(n.toString('hex')))
+        .filter((n) => !queried.has(toHex(n)))
         .slice(0, this.ALPHA);
 
       if (0 === batch.length) break;
@@ -750,9 +1090,10 @@ export class PeerNode {
       const queries = [];
 
       for (const node of batch) {
-        const hex = node.toString('hex');
+        const hex = toHex(node);
 
         if (!connected.has(hex)) {
+          this.maybeDialPeer(hex);
           continue;
         }
 
@@ -768,35 +1109,42 @@ export class PeerNode {
           closestQueried = node;
         }
 
+        const msgId = generateMessageId();
         queries.push(
-          new Promise((resolve) => {
-            const msgId = generateMessageId();
-            const reqKey = msgId.toString('hex');
-
-            const timer = setTimeout(() => {
-              this.pendingRequests.delete(reqKey);
-              resolve(null);
-            }, 5000);
-
-            this.pendingRequests.set(reqKey, (res) => {
-              clearTimeout(timer);
-              resolve({ responder: node, res });
-            });
+          this._awaitResponse(
+            this.pendingRequests,
+            toHex(msgId),
+            5000,
+            null
+          ).then((res) => res && { responder: node, res })
+        );
 
-            this.conn.send(hex, encodeFindValue(msgId, keyId));
-          })
+        this._sendRequest(
+          this.pendingRequests,
+          toHex(msgId),
+          hex,
+          encodeFindValue(msgId, keyId)
         );
       }
 
       if (queries.length === 0) {
-        await new Promise((r) => setTimeout(r, 100));
+        if (++idleRounds > MAX_IDLE_ROUNDS) break;
+        await new Promise((r) => this.clock.setTimeout(r, 100));
         continue;
       }
+      hops++;
 
       const results = (await Promise.all(queries)).filter(Boolean);
-      let foundCloser = false;
 
       for (const { responder, res } of results) {
+        if (res.record && !(await this._isValidRecord(keyId, res.record))) {
+          this._penalize(
+            toHex(responder),
+            'invalid record in FIND_VALUE response'
+          );
+          continue;
+        }
+
         this.maybeAddNode(responder);
 
         if (res.record) {
@@ -813,11 +1161,11 @@ export class PeerNode {
 
             if (
               closer &&
-              this.conn.getConnectedPeers().includes(closer.toString('hex'))
+              this.conn.getConnectedPeers().includes(toHex(closer))
             ) {
               const msgId = generateMessageId();
               this.conn.send(
-                closer.toString('hex'),
+                toHex(closer),
                 encodeStore(msgId, keyId, res.record)
               );
             }
@@ -826,9 +1174,8 @@ export class PeerNode {
 
         if (res.nodes) {
           for (const n of res.nodes) {
-            if (!shortlist.some((x) => x.equals(n))) {
+            if (!shortlist.some((x) => equalBytes(x, n))) {
               shortlist.push(n);
-              foundCloser = true;
             }
           }
         }
@@ -852,19 +1199,199 @@ export class PeerNode {
       }
     }
 
+    this.onLookup?.({
+      type: 'FIND_VALUE',
+      target: keyId,
+      hops,
+      queried: queried.size,
+      found: !!bestRecord,
+    });
+
     if (!bestRecord) return null;
 
     const existing = this.store.get(keyHex);
     if (!existing || this._isNewer(bestRecord, existing.record)) {
       this.store.set(keyHex, {
         record: bestRecord,
-        expires: Date.now() + CACHE_TTL,
+        expires: this.clock.now() + CACHE_TTL,
         publisher: false,
         lastRepair: 0,
       });
     }
 
-    return Buffer.from(bestRecord.data, 'base64');
+    return bestRecord;
+  }
+
+  /**
+   * Stop the peer node.
+   *
+   * Clears every maintenance timer, rejects requests still waiting for a
+   * response, hands stored records off to the closest connected peers,
+   * saves the node state and closes the record store. Once the hand-off
+   * has been sent, or after HANDOFF_TIMEOUT, the connection manager says
+   * goodbye to every peer and closes all links and the signaling socket.
+   * A stopped node cannot be restarted.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+
+    for (const timer of [
+      this._bucketRefreshTimer,
+      this._cleanupTimer,
+      this._republishTimer,
+      this._repairTimer,
+      this._bucketPingTimer,
+      this._persistTimer,
+    ]) {
+      this.clock.clearInterval(timer);
+    }
+    this.clock.clearTimeout(this._resumeTimer);
+    this.reconnects.clear();
+
+    const err = new Error('PeerNode stopped');
+    for (const pending of [
+      ...this.pendingRequests.values(),
+      ...this.pendingPings.values(),
+    ]) {
+      pending.reject(err);
+    }
+    this.pendingRequests.clear();
+    this.pendingPings.clear();
+
+    const handOff = this._handOff();
+    this.saveState();
+
+    await handOff;
+    this.conn.stop();
+    this.store.close();
+  }
+
+  /**
+   * Save the routing table and recent peers to `dataDir`.
+   *
+   * Runs periodically while the node is up and again from `stop()`. Does
+   * nothing without a `dataDir`.
+   */
+  saveState() {
+    if (!this.dataDir) return;
+
+    const peers = [...this.recentPeers]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, RECENT_PEERS);
+
+    try {
+      this.dataDir.saveState({
+        nodeId: this.peerIdHex,
+        savedAt: this.clock.now(),
+        routingTable: this.routingTable.toJSON(),
+        peers: peers.map(([id, lastSeen]) => ({ id, lastSeen })),
+      });
+    } catch (err) {
+      console.warn('Failed to save node state:', err.message);
+    }
+  }
+
+  /**
+   * Restore the routing table and recent peers saved in `dataDir`, and
+   * reconnect to the most recent ones once signaling is available.
+   *
+   * @private
+   */
+  _loadState() {
+    const state = this.dataDir?.loadState();
+    if (!state || state.nodeId !== this.peerIdHex) return;
+
+    this.routingTable.restore(state.routingTable);
+
+    for (const { id, lastSeen } of state.peers ?? []) {
+      if (typeof id === 'string' && Number.isFinite(lastSeen)) {
+        this.recentPeers.set(id, lastSeen);
+      }
+    }
+
+    const reconnect = () => {
+      const peers = [...this.recentPeers]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, RECONNECT_PEERS);
+
+      for (const [id] of peers) {
+        this.conn.connect(id).catch(() => this._dialFailed(id));
+      }
+    };
+
+    if (this.signalingUrls.length) this.conn.once('signalingOpen', reconnect);
+    else reconnect();
+  }
+
+  /**
+   * Send every live record to the closest connected peers before leaving,
+   * so that replicas held only here are not lost.
+   *
+   * Resolves once every STORE has been handed to the transport, or after
+   * HANDOFF_TIMEOUT if some are still queued behind a full send buffer.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _handOff() {
+    const now = this.clock.now();
+    const connected = new Set(this.conn.getConnectedPeers());
+    const sent = [];
+
+    for (const [keyHex, entry] of this.store) {
+      if (entry.expires <= now) continue;
+
+      const keyId = fromHex(keyHex);
+      for (const node of this.routingTable.findClosest(keyId, this.K)) {
+        const hex = toHex(node);
+        if (!connected.has(hex)) continue;
+
+        sent.push(
+          this.conn.send(
+            hex,
+            encodeStore(generateMessageId(), keyId, entry.record)
+          )
+        );
+      }
+    }
+    if (0 === sent.length) return;
+
+    let timer;
+    await Promise.race([
+      Promise.allSettled(sent),
+      new Promise((resolve) => {
+        timer = this.clock.setTimeout(resolve, HANDOFF_TIMEOUT);
+      }),
+    ]);
+    this.clock.clearTimeout(timer);
+  }
+
+  /**
+   * Send every record this node published to the K closest peers.
+   *
+   * @private
+   */
+  async _republish() {
+    const now = this.clock.now();
+
+    for (const [keyHex, entry] of this.store) {
+      if (!entry.publisher) continue;
+      if (entry.expires <= now) continue;
+
+      const keyId = fromHex(keyHex);
+      const closest = await this.iterativeFindNode(keyId);
+
+      for (const node of closest.slice(0, this.K)) {
+        const hex = toHex(node);
+        if (this.conn.getConnectedPeers().includes(hex)) {
+          const msgId = generateMessageId();
+          this.conn.send(hex, encodeStore(msgId, keyId, entry.record));
+        }
+      }
+    }
   }
 
   /**
@@ -876,7 +1403,7 @@ export class PeerNode {
    * @private
    */
   async _repairReplicas() {
-    const now = Date.now();
+    const now = this.clock.now();
 
     for (const [keyHex, entry] of this.store) {
       if (!entry.publisher) continue;
@@ -886,12 +1413,12 @@ export class PeerNode {
         continue;
       }
 
-      const keyId = Buffer.from(keyHex, 'hex');
+      const keyId = fromHex(keyHex);
       const closest = await this.iterativeFindNode(keyId);
 
       const targets = closest
         .slice(0, this.K)
-        .map((n) => n.toString('hex'))
+        .map((n) => toHex(n))
         .filter((h) => this.conn.getConnectedPeers().includes(h))
         .filter((h) => h !== this.peerIdHex);
 
@@ -912,33 +1439,262 @@ export class PeerNode {
    * or `false` if the request times out.
    *
    * @param {string} peerHex - Hex-encoded peer identifier.
-   * @param {Buffer} keyId - The key identifier to query.
+   * @param {Uint8Array} keyId - The key identifier to query.
    * @param {number} [timeout=2000] - Timeout in milliseconds.
    * @returns {Promise<boolean>} Resolves to `true` if the peer reports having the value, otherwise `false`.
    */
   hasValue(peerHex, keyId, timeout = 2000) {
-    return new Promise((resolve) => {
-      const msgId = generateMessageId();
-      const reqKey = msgId.toString('hex');
+    const msgId = generateMessageId();
+    const response = this._awaitResponse(
+      this.pendingRequests,
+      toHex(msgId),
+      timeout,
+      false
+    );
 
-      const timer = setTimeout(() => {
-        this.pendingRequests.delete(reqKey);
-        resolve(false);
-      }, timeout);
+    this._sendRequest(
+      this.pendingRequests,
+      toHex(msgId),
+      peerHex,
+      encodeHasValue(msgId, keyId)
+    );
+    return response;
+  }
 
-      this.pendingRequests.set(reqKey, (has) => {
-        clearTimeout(timer);
-        resolve(has);
+  /**
+   * Wait for the response to a request registered under `key`.
+   *
+   * The message handler completes it through `map.get(key).resolve`. If no
+   * response arrives within `timeout`, or `fail` is called because the
+   * request could not be sent, it resolves with `fallback` instead,
+   * and `stop()` rejects every request still waiting.
+   *
+   * @private
+   * @param {Map<string, {resolve: Function, reject: Function, fail: Function}>} map
+   * @param {string} key
+   * @param {number} timeout
+   * @param {any} fallback
+   * @param {Function} [onTimeout] - Called when the request times out.
+   * @returns {Promise<any>}
+   */
+  _awaitResponse(map, key, timeout, fallback, onTimeout) {
+    return new Promise((resolve, reject) => {
+      const expire = () => {
+        map.delete(key);
+        onTimeout?.();
+        resolve(fallback);
+      };
+      const timer = this.clock.setTimeout(expire, timeout);
+
+      map.set(key, {
+        resolve: (value) => {
+          this.clock.clearTimeout(timer);
+          resolve(value);
+        },
+        reject: (err) => {
+          this.clock.clearTimeout(timer);
+          reject(err);
+        },
+        fail: () => {
+          this.clock.clearTimeout(timer);
+          expire();
+        },
       });
+    });
+  }
+
+  /**
+   * Send a request registered with `_awaitResponse`, completing it as if
+   * it had timed out when the message cannot be sent.
+   *
+   * @private
+   * @param {Map<string, {fail: Function}>} map
+   * @param {string} key
+   * @param {string} peerIdHex
+   * @param {Uint8Array} buf
+   */
+  _sendRequest(map, key, peerIdHex, buf) {
+    this.conn.send(peerIdHex, buf).catch(() => map.get(key)?.fail());
+  }
+
+  /**
+   * Store a record pushed by a peer once its signature has been checked,
+   * unless a newer copy is already held, and acknowledge it. A copy of the
+   * version already held refreshes its expiry instead, and a record of
+   * another type than the one held is refused.
+   *
+   * @private
+   * @param {string} peerIdHex
+   * @param {Uint8Array} buf
+   */
+  async _handleStore(peerIdHex, buf) {
+    const { messageId, key, record } = decodeStore(buf);
+    const keyHex = toHex(key);
 
-      this.conn.send(peerHex, encodeHasValue(msgId, keyId));
+    if (!(await this._isValidRecord(key, record))) {
+      this._penalize(peerIdHex, 'invalid record in STORE');
+      return;
+    }
+    if (this.stopped) return;
+
+    const now = this.clock.now();
+
+    const existing = this.store.get(keyHex);
+    if (
+      existing &&
+      existing.expires > now &&
+      existing.record.type !== record.type
+    ) {
+      console.warn('STORE would change the record type of', keyHex);
+      return;
+    }
+
+    if (
+      existing &&
+      existing.expires > now &&
+      !this._isNewer(record, existing.record)
+    ) {
+      // A republish of the version already held: keep it alive.
+      if (!this._isNewer(existing.record, record)) {
+        this.store.set(keyHex, {
+          ...existing,
+          expires: Math.max(existing.expires, now + STORE_TTL),
+        });
+        this.conn.send(peerIdHex, encodeStoreAck(messageId));
+      }
+      return;
+    }
+
+    this.store.set(keyHex, {
+      record,
+      expires: this.clock.now() + STORE_TTL,
+      publisher: false,
+      lastRepair: 0,
     });
+
+    this.conn.send(peerIdHex, encodeStoreAck(messageId));
+    this.maybeAddNode(fromHex(peerIdHex));
+  }
+
+  /**
+   * Check a record received from the network.
+   *
+   * The record must carry a valid publisher signature for this key and
+   * must not be timestamped further in the future than MAX_CLOCK_SKEW,
+   * which would otherwise let it shadow later updates. Mutable records are
+   * ordered by `seq` instead, so only their owner signature is checked, and
+   * immutable records only need to hash to the key.
+   *
+   * @private
+   * @param {Uint8Array} keyId
+   * @param {object} record
+   * @returns {Promise<boolean>}
+   */
+  async _isValidRecord(keyId, record) {
+    if ('mutable' === record?.type) return verifyMutableRecord(keyId, record);
+    if ('immutable' === record?.type) {
+      return verifyImmutableRecord(keyId, record);
+    }
+
+    return (
+      (await verifyRecord(keyId, record)) &&
+      record.ts <= this.clock.now() + MAX_CLOCK_SKEW
+    );
+  }
+
+  /**
+   * Punish a peer that sent invalid data.
+   *
+   * Removes it from the routing table, drops the connection and applies
+   * the dial back-off so it is not immediately reconnected.
+   *
+   * @private
+   * @param {string} peerIdHex
+   * @param {string} reason
+   */
+  _penalize(peerIdHex, reason) {
+    console.warn(`Penalizing peer ${peerIdHex}: ${reason}`);
+
+    this.routingTable.removeNode(fromHex(peerIdHex));
+    this._dialFailed(peerIdHex);
+    this.conn._dropPeer(peerIdHex, 'invalid');
+  }
+
+  /**
+   * Record a failed dial and back off from the peer, for DIAL_BACKOFF at
+   * first and exponentially longer after each further failure.
+   *
+   * @private
+   * @param {string} peerIdHex
+   */
+  _dialFailed(peerIdHex) {
+    const failures = (this.failedDials.get(peerIdHex)?.failures ?? 0) + 1;
+    const delay = backoffDelay(failures - 1, {
+      base: this.DIAL_BACKOFF,
+      random: this.random,
+    });
+
+    this.failedDials.set(peerIdHex, {
+      failures,
+      until: this.clock.now() + delay,
+    });
+  }
+
+  /**
+   * One ReconnectManager attempt: dial the peer and wait for it to pass
+   * the handshake.
+   *
+   * @private
+   * @param {string} peerIdHex
+   * @returns {Promise<boolean>}
+   */
+  async _redial(peerIdHex) {
+    if (this.stopped) return false;
+
+    await this.conn.connect(peerIdHex);
+    return this.conn.waitForPeer(peerIdHex, RECONNECT_TIMEOUT);
+  }
+
+  /**
+   * Whether a disconnected peer is worth reconnecting to: it is in the
+   * routing table, or it is among the K closest known nodes to a key this
+   * node published and so likely holds a replica.
+   *
+   * @private
+   * @param {string} peerIdHex
+   * @returns {boolean}
+   */
+  _isImportant(peerIdHex) {
+    const nodeId = fromHex(peerIdHex);
+    if (this.routingTable.has(nodeId)) return true;
+
+    for (const [keyHex, entry] of this.store) {
+      if (!entry.publisher) continue;
+
+      const keyId = fromHex(keyHex);
+      const closest = this.routingTable.findClosest(keyId, this.K);
+      if (closest.length < this.K) return true;
+
+      const farthest = closest[closest.length - 1];
+      if (
+        compareDistance(
+          xorDistance(nodeId, keyId),
+          xorDistance(farthest, keyId)
+        ) < 0
+      ) {
+        return true;
+      }
+    }
+
+    return false;
   }
 
   /**
    * Compare two records and determine which is newer.
    *
-   * Newer records are chosen by timestamp, then publisher ID.
+   * Newer records are chosen by timestamp, then publisher ID. Mutable
+   * records are only superseded by a higher `seq`, an immutable record
+   * never changes, and a record never supersedes one of another type.
    *
    * @private
    * @param {object} a
@@ -947,6 +1703,11 @@ export class PeerNode {
    */
   _isNewer(a, b) {
     if (!b) return true;
+
+    if (a.type !== b.type) return false;
+    if ('mutable' === a.type) return a.seq > b.seq;
+    if ('immutable' === a.type) return false;
+
     if (a.ts !== b.ts) return a.ts > b.ts;
     return a.pub > b.pub;
   }
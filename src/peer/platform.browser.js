@@ -0,0 +1,99 @@
+import { ED25519_PKCS8_PREFIX } from './constants.js';
+import { concatBytes, fromBase64 } from './bytes.js';
+
+/**
+ * Browser implementation of the platform services used by the DHT; see
+ * platform.js for the Node one. Hashing and Ed25519 use WebCrypto, which
+ * needs a secure context (https or localhost) and a browser with Ed25519
+ * support.
+ */
+
+const subtle = globalThis.crypto?.subtle;
+
+export const WebSocket = globalThis.WebSocket;
+
+/**
+ * WebRTC constructors, from the browser globals.
+ *
+ * @returns {{RTCPeerConnection: typeof RTCPeerConnection}}
+ */
+export function loadWebRTC() {
+  return globalThis;
+}
+
+/**
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function randomBytes(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+export async function sha256(data) {
+  return new Uint8Array(await subtle.digest('SHA-256', data));
+}
+
+/**
+ * Generate an Ed25519 key pair, or derive it from a 32-byte seed.
+ *
+ * The private key is extractable so it can be exported and stored.
+ *
+ * @param {Uint8Array} [seed]
+ * @returns {Promise<{publicKey: Uint8Array, privateKey: CryptoKey}>}
+ */
+export async function ed25519Generate(seed) {
+  const privateKey = seed
+    ? await subtle.importKey(
+        'pkcs8',
+        concatBytes([ED25519_PKCS8_PREFIX, seed]),
+        'Ed25519',
+        true,
+        ['sign']
+      )
+    : (await subtle.generateKey('Ed25519', true, ['sign', 'verify']))
+        .privateKey;
+
+  return { publicKey: await ed25519PublicKey(privateKey), privateKey };
+}
+
+/**
+ * Raw public key of an extractable Ed25519 private key.
+ *
+ * @param {CryptoKey} privateKey
+ * @returns {Promise<Uint8Array>}
+ */
+export async function ed25519PublicKey(privateKey) {
+  const { x } = await subtle.exportKey('jwk', privateKey);
+  const base64 = x.replace(/-/g, '+').replace(/_/g, '/');
+  return fromBase64(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+}
+
+/**
+ * @param {CryptoKey} privateKey
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>} 64-byte signature
+ */
+export async function ed25519Sign(privateKey, data) {
+  return new Uint8Array(await subtle.sign('Ed25519', privateKey, data));
+}
+
+/**
+ * @param {Uint8Array} publicKey - Raw 32-byte key.
+ * @param {Uint8Array} data
+ * @param {Uint8Array} signature
+ * @returns {Promise<boolean>} False for invalid keys as well.
+ */
+export async function ed25519Verify(publicKey, data, signature) {
+  try {
+    const key = await subtle.importKey('raw', publicKey, 'Ed25519', false, [
+      'verify',
+    ]);
+    return await subtle.verify('Ed25519', key, signature, data);
+  } catch {
+    return false;
+  }
+}
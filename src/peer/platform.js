@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import WebSocket from 'ws';
+import { ED25519_PKCS8_PREFIX } from './constants.js';
+
+/**
+ * Node implementation of the platform services used by the DHT: hashing,
+ * Ed25519 keys and signatures, randomness, WebSockets and WebRTC.
+ *
+ * Bundlers replace this module with platform.browser.js, which exports the
+ * same functions on top of WebCrypto and the browser globals. Hashing and
+ * signing are async because WebCrypto is; here they resolve as soon as the
+ * synchronous Node call returns.
+ */
+
+const require = createRequire(import.meta.url);
+
+export { WebSocket };
+
+/**
+ * WebRTC constructors. The native `wrtc` module is only loaded when the
+ * first peer connection is created, so importing this file does not
+ * require it.
+ *
+ * @returns {{RTCPeerConnection: typeof RTCPeerConnection}}
+ */
+export function loadWebRTC() {
+  return require('wrtc');
+}
+
+/**
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+export async function sha256(data) {
+  return new Uint8Array(crypto.createHash('sha256').update(data).digest());
+}
+
+/**
+ * Generate an Ed25519 key pair, or derive it from a 32-byte seed.
+ *
+ * @param {Uint8Array} [seed]
+ * @returns {Promise<{publicKey: Uint8Array, privateKey: crypto.KeyObject}>}
+ */
+export async function ed25519Generate(seed) {
+  const privateKey = seed
+    ? crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+        format: 'der',
+        type: 'pkcs8',
+      })
+    : crypto.generateKeyPairSync('ed25519').privateKey;
+
+  return { publicKey: await ed25519PublicKey(privateKey), privateKey };
+}
+
+/**
+ * Raw public key of an Ed25519 private key.
+ *
+ * @param {crypto.KeyObject} privateKey
+ * @returns {Promise<Uint8Array>}
+ */
+export async function ed25519PublicKey(privateKey) {
+  const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  return new Uint8Array(Buffer.from(jwk.x, 'base64url'));
+}
+
+/**
+ * @param {crypto.KeyObject} privateKey
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>} 64-byte signature
+ */
+export async function ed25519Sign(privateKey, data) {
+  return new Uint8Array(crypto.sign(null, data, privateKey));
+}
+
+/**
+ * @param {Uint8Array} publicKey - Raw 32-byte key.
+ * @param {Uint8Array} data
+ * @param {Uint8Array} signature
+ * @returns {Promise<boolean>} False for invalid keys as well.
+ */
+export async function ed25519Verify(publicKey, data, signature) {
+  try {
+    const key = crypto.createPublicKey({
+      key: {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: Buffer.from(publicKey).toString('base64url'),
+      },
+      format: 'jwk',
+    });
+    return crypto.verify(null, data, key, signature);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,183 @@
+import { EventEmitter } from 'events';
+import { systemClock } from './clock.js';
+
+/**
+ * Delay before the first retry; doubled after every failed attempt.
+ */
+export const RECONNECT_BASE_DELAY = 1000;
+
+/**
+ * Upper bound for the delay between two attempts.
+ */
+export const RECONNECT_MAX_DELAY = 5 * 60 * 1000;
+
+/**
+ * Failed attempts after which a peer is given up on.
+ */
+export const RECONNECT_MAX_ATTEMPTS = 8;
+
+/**
+ * Jittered exponential backoff.
+ *
+ * The delay doubles with every attempt up to `max`, and is drawn uniformly
+ * from the upper half of that range so that peers losing the same link do
+ * not all retry at once.
+ *
+ * @param {number} attempt - Failed attempts so far.
+ * @param {object} [opts]
+ * @param {number} [opts.base]
+ * @param {number} [opts.max]
+ * @param {() => number} [opts.random] - Uniform [0, 1) random source.
+ * @returns {number} Milliseconds to wait.
+ */
+export function backoffDelay(
+  attempt,
+  {
+    base = RECONNECT_BASE_DELAY,
+    max = RECONNECT_MAX_DELAY,
+    random = Math.random,
+  } = {}
+) {
+  const ceiling = Math.min(max, base * 2 ** attempt);
+  return ceiling / 2 + (random() * ceiling) / 2;
+}
+
+/**
+ * Re-dials peers whose connection dropped, with jittered exponential
+ * backoff between attempts.
+ *
+ * The manager only schedules attempts; `dial` decides how a peer is
+ * reached and whether it came back. Callers decide which peers are worth
+ * retrying, and cancel a peer when it reconnects on its own or fails in a
+ * way retrying cannot fix.
+ *
+ * Events:
+ * - `reconnected` (peerIdHex): an attempt succeeded
+ * - `giveUp` (peerIdHex): `maxAttempts` attempts in a row failed
+ */
+export class ReconnectManager extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {(peerIdHex: string) => Promise<boolean>} opts.dial - One
+   *   attempt; resolves whether the peer is connected again.
+   * @param {number} [opts.baseDelay]
+   * @param {number} [opts.maxDelay]
+   * @param {number} [opts.maxAttempts]
+   * @param {typeof systemClock} [opts.clock]
+   * @param {() => number} [opts.random]
+   */
+  constructor({
+    dial,
+    baseDelay = RECONNECT_BASE_DELAY,
+    maxDelay = RECONNECT_MAX_DELAY,
+    maxAttempts = RECONNECT_MAX_ATTEMPTS,
+    clock = systemClock,
+    random = Math.random,
+  }) {
+    super();
+
+    this.dial = dial;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.maxAttempts = maxAttempts;
+    this.clock = clock;
+    this.random = random;
+
+    /**
+     * Peers being reconnected: failed attempts so far and the timer of
+     * the next one (null while an attempt is running).
+     *
+     * @type {Map<string, {attempts: number, timer: any}>}
+     */
+    this.peers = new Map();
+  }
+
+  /**
+   * Start reconnecting to a peer, unless already in progress.
+   *
+   * @param {string} peerIdHex
+   */
+  schedule(peerIdHex) {
+    if (this.peers.has(peerIdHex)) return;
+
+    const entry = { attempts: 0, timer: null };
+    this.peers.set(peerIdHex, entry);
+    this._next(peerIdHex, entry);
+  }
+
+  /**
+   * Stop reconnecting to a peer. An attempt already running is ignored
+   * when it completes.
+   *
+   * @param {string} peerIdHex
+   */
+  cancel(peerIdHex) {
+    const entry = this.peers.get(peerIdHex);
+    if (!entry) return;
+
+    this.clock.clearTimeout(entry.timer);
+    this.peers.delete(peerIdHex);
+  }
+
+  /**
+   * @param {string} peerIdHex
+   * @returns {boolean}
+   */
+  has(peerIdHex) {
+    return this.peers.has(peerIdHex);
+  }
+
+  /**
+   * Cancel every pending reconnect.
+   */
+  clear() {
+    for (const peerIdHex of [...this.peers.keys()]) {
+      this.cancel(peerIdHex);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} peerIdHex
+   * @param {{attempts: number, timer: any}} entry
+   */
+  _next(peerIdHex, entry) {
+    const delay = backoffDelay(entry.attempts, {
+      base: this.baseDelay,
+      max: this.maxDelay,
+      random: this.random,
+    });
+
+    entry.timer = this.clock.setTimeout(
+      () => this._attempt(peerIdHex, entry),
+      delay
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} peerIdHex
+   * @param {{attempts: number, timer: any}} entry
+   */
+  async _attempt(peerIdHex, entry) {
+    entry.timer = null;
+    entry.attempts++;
+
+    const ok = await this.dial(peerIdHex).catch(() => false);
+    if (this.peers.get(peerIdHex) !== entry) return;
+
+    if (ok) {
+      this.peers.delete(peerIdHex);
+      this.emit('reconnected', peerIdHex);
+      return;
+    }
+
+    if (entry.attempts >= this.maxAttempts) {
+      this.peers.delete(peerIdHex);
+      this.emit('giveUp', peerIdHex);
+      return;
+    }
+
+    this._next(peerIdHex, entry);
+  }
+}
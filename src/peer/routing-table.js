@@ -1,4 +1,6 @@
-import { xorDistance, compareDistance } from './utils.js';
+import { bucketIndex, xorDistance, compareDistance } from './utils.js';
+import { equalBytes, fromHex, toHex } from './bytes.js';
+import { systemClock } from './clock.js';
 
 /**
  * Kademlia-style routing table.
@@ -7,12 +9,14 @@ import { xorDistance, compareDistance } from './utils.js';
 export class RoutingTable {
   /**
    * @param {object} opts
-   * @param {Buffer} opts.nodeId
+   * @param {Uint8Array} opts.nodeId
    * @param {number} [opts.k=20]
+   * @param {typeof systemClock} [opts.clock] - Time source for `lastUsed`.
    */
-  constructor({ nodeId, k = 20 }) {
+  constructor({ nodeId, k = 20, clock = systemClock }) {
     this.nodeId = nodeId;
     this.k = k;
+    this.clock = clock;
 
     /**
      * Buckets indexed by distance bit.
@@ -22,7 +26,7 @@ export class RoutingTable {
       () => ({
         nodes: [],
         replacements: [],
-        lastUsed: Date.now(),
+        lastUsed: this.clock.now(),
       })
     );
   }
@@ -30,20 +34,20 @@ export class RoutingTable {
   /**
    * Add or update a node in the routing table.
    *
-   * @param {Buffer} nodeId
+   * @param {Uint8Array} nodeId
    * @returns {{action: string, bucketIndex?: number}|undefined}
    */
   addOrUpdateNode(nodeId) {
-    if (!Buffer.isBuffer(nodeId)) return;
+    if (!(nodeId instanceof Uint8Array)) return;
     if (nodeId.length !== this.nodeId.length) return;
-    if (nodeId.equals(this.nodeId)) return;
+    if (equalBytes(nodeId, this.nodeId)) return;
 
     const i = this._bucketIndex(nodeId);
 
     const bucket = this.buckets[i];
-    bucket.lastUsed = Date.now();
+    bucket.lastUsed = this.clock.now();
 
-    const idx = bucket.nodes.findIndex((id) => id.equals(nodeId));
+    const idx = bucket.nodes.findIndex((id) => equalBytes(id, nodeId));
     if (idx !== -1) {
       bucket.nodes.splice(idx, 1);
       bucket.nodes.push(nodeId);
@@ -55,7 +59,7 @@ export class RoutingTable {
       return { action: 'added' };
     }
 
-    if (!bucket.replacements.some((id) => id.equals(nodeId))) {
+    if (!bucket.replacements.some((id) => equalBytes(id, nodeId))) {
       bucket.replacements.push(nodeId);
       if (bucket.replacements.length > this.k) {
         bucket.replacements.shift();
@@ -68,22 +72,35 @@ export class RoutingTable {
   /**
    * Remove a node from the routing table.
    *
-   * @param {Buffer} nodeId
+   * @param {Uint8Array} nodeId
    */
   removeNode(nodeId) {
     const bucketIndex = this._bucketIndex(nodeId);
     const bucket = this.buckets[bucketIndex];
 
-    const idx = bucket.nodes.findIndex((id) => id.equals(nodeId));
+    const idx = bucket.nodes.findIndex((id) => equalBytes(id, nodeId));
     if (idx !== -1) {
       bucket.nodes.splice(idx, 1);
     }
   }
 
+  /**
+   * Whether a node is in its bucket (replacements do not count).
+   *
+   * @param {Uint8Array} nodeId
+   * @returns {boolean}
+   */
+  has(nodeId) {
+    if (nodeId.length !== this.nodeId.length) return false;
+    return this.buckets[this._bucketIndex(nodeId)].nodes.some((id) =>
+      equalBytes(id, nodeId)
+    );
+  }
+
   /**
    * Update a node's recency.
    *
-   * @param {Buffer} nodeId
+   * @param {Uint8Array} nodeId
    * @returns {{action: string, bucketIndex?: number}|undefined}
    */
   touch(nodeId) {
@@ -94,7 +111,7 @@ export class RoutingTable {
    * Get least recently seen node in a bucket.
    *
    * @param {number} bucketIndex
-   * @returns {Buffer|undefined}
+   * @returns {Uint8Array|undefined}
    */
   getLeastRecentlySeen(bucketIndex) {
     return this.buckets[bucketIndex].nodes[0];
@@ -112,28 +129,34 @@ export class RoutingTable {
   /**
    * Find closest nodes to a target ID.
    *
-   * @param {Buffer} targetId
+   * Returns the `count` nodes of the table nearest to the target by XOR
+   * distance, nearest first.
+   *
+   * @param {Uint8Array} targetId
    * @param {number} count
-   * @returns {Buffer[]}
+   * @returns {Uint8Array[]}
    */
   findClosest(targetId, count = this.k) {
-    const results = [];
     const start = this._bucketIndex(targetId);
 
-    for (let d = 0; d < this.buckets.length && results.length < count; d++) {
-      const i = d % 2 === 0 ? start + d : start - d;
-      if (i < 0 || i >= this.buckets.length) continue;
-
+    const results = [];
+    const visit = (i) => {
       const bucket = this.buckets[i];
-      for (const id of bucket.nodes) {
-        results.push(id);
-        if (results.length >= count) break;
-      }
+      if (0 === bucket.nodes.length) return;
 
-      if (bucket.nodes.length > 0) {
-        bucket.lastUsed = Date.now();
-      }
+      results.push(...bucket.nodes);
+      bucket.lastUsed = this.clock.now();
+    };
+
+    // Nodes in the target's bucket share the longest prefix with it. Nodes
+    // in deeper buckets all differ from it first at bit `start`, so they
+    // come next and are taken together. Each shallower bucket is then
+    // further away than the one before.
+    visit(start);
+    if (results.length < count) {
+      for (let i = start + 1; i < this.buckets.length; i++) visit(i);
     }
+    for (let i = start - 1; i >= 0 && results.length < count; i--) visit(i);
 
     results.sort((a, b) =>
       compareDistance(xorDistance(a, targetId), xorDistance(b, targetId))
@@ -161,33 +184,67 @@ export class RoutingTable {
       .map((bucket, i) => ({
         index: i,
         size: bucket.nodes.length,
-        nodes: bucket.nodes.map((n) => n.toString('hex')),
+        nodes: bucket.nodes.map(toHex),
       }))
       .filter((b) => b.size > 0);
   }
 
+  /**
+   * Serializable snapshot of every bucket, including replacements and
+   * `lastUsed`.
+   *
+   * @returns {{nodeId: string, buckets: {nodes: string[], replacements: string[], lastUsed: number}[]}}
+   */
+  toJSON() {
+    return {
+      nodeId: toHex(this.nodeId),
+      buckets: this.buckets.map((bucket) => ({
+        nodes: bucket.nodes.map(toHex),
+        replacements: bucket.replacements.map(toHex),
+        lastUsed: bucket.lastUsed,
+      })),
+    };
+  }
+
+  /**
+   * Load a snapshot taken by `toJSON`.
+   *
+   * Snapshots of another node ID are ignored, since bucket positions are
+   * relative to the local ID.
+   *
+   * @param {ReturnType<RoutingTable['toJSON']>} state
+   * @returns {boolean} Whether the snapshot was loaded.
+   */
+  restore(state) {
+    if (state?.nodeId !== toHex(this.nodeId)) return false;
+    if (state.buckets?.length !== this.buckets.length) return false;
+
+    const ids = (list) =>
+      (list ?? [])
+        .map(fromHex)
+        .filter((id) => id.length === this.nodeId.length)
+        .slice(-this.k);
+
+    state.buckets.forEach((saved, i) => {
+      const bucket = this.buckets[i];
+      bucket.nodes = ids(saved.nodes);
+      bucket.replacements = ids(saved.replacements);
+      if (Number.isFinite(saved.lastUsed)) bucket.lastUsed = saved.lastUsed;
+    });
+
+    return true;
+  }
+
   /**
    * Compute bucket index based on first differing bit.
    *
    * @private
-   * @param {Buffer} nodeId
+   * @param {Uint8Array} nodeId
    * @returns {number}
    */
   _bucketIndex(nodeId) {
-    const dist = xorDistance(this.nodeId, nodeId);
-
-    for (let i = 0; i < dist.length; i++) {
-      if (dist[i] === 0) continue;
-
-      for (let bit = 0; bit < 8; bit++) {
-        if (dist[i] & (0x80 >> bit)) {
-          return i * 8 + bit;
-        }
-      }
-    }
-
-    // identical IDs (should never happen ig)
-    return this.buckets.length - 1;
+    // identical IDs (should never happen ig) go to the last bucket
+    return Math.min(bucketIndex(this.nodeId, nodeId), this.buckets.length - 1);
   }
 
   /**
@@ -0,0 +1,153 @@
+import {
+  MSG_PING,
+  MSG_PONG,
+  MSG_GOODBYE,
+  MSG_FIND_NODE,
+  MSG_FIND_NODE_RESPONSE,
+  MSG_STORE_ACK,
+  MSG_FIND_VALUE,
+  MSG_FIND_VALUE_RESPONSE,
+  MSG_HAS_VALUE,
+  MSG_HAS_VALUE_RESPONSE,
+  MSG_SIGNAL_OFFER,
+  MSG_SIGNAL_ANSWER,
+  MSG_SIGNAL_ICE,
+  MSG_SIGNAL_ACK,
+} from './constants.js';
+
+/**
+ * Traffic classes, from most to least urgent.
+ *
+ * - `control`: liveness and connection setup (PING, PONG, GOODBYE, relayed
+ *   signals)
+ * - `lookup`: routing and lookup RPCs (FIND_*, HAS_VALUE, STORE_ACK)
+ * - `bulk`: everything else, chiefly STORE from publish, republish and
+ *   replica repair
+ */
+export const PRIORITIES = ['control', 'lookup', 'bulk'];
+
+/**
+ * Frames each class may send per scheduling round while all are backed up.
+ */
+export const DEFAULT_WEIGHTS = { control: 8, lookup: 4, bulk: 1 };
+
+/**
+ * Frames queued per peer and class before further sends are rejected.
+ */
+export const MAX_QUEUED_FRAMES = 1024;
+
+const CLASS_OF_TYPE = new Map([
+  [MSG_PING, 'control'],
+  [MSG_PONG, 'control'],
+  [MSG_GOODBYE, 'control'],
+  [MSG_SIGNAL_OFFER, 'control'],
+  [MSG_SIGNAL_ANSWER, 'control'],
+  [MSG_SIGNAL_ICE, 'control'],
+  [MSG_SIGNAL_ACK, 'control'],
+  [MSG_FIND_NODE, 'lookup'],
+  [MSG_FIND_NODE_RESPONSE, 'lookup'],
+  [MSG_FIND_VALUE, 'lookup'],
+  [MSG_FIND_VALUE_RESPONSE, 'lookup'],
+  [MSG_HAS_VALUE, 'lookup'],
+  [MSG_HAS_VALUE_RESPONSE, 'lookup'],
+  [MSG_STORE_ACK, 'lookup'],
+]);
+
+/**
+ * Traffic class of a message, from its type byte.
+ *
+ * @param {Uint8Array} buf
+ * @returns {'control'|'lookup'|'bulk'}
+ */
+export function priorityOf(buf) {
+  return CLASS_OF_TYPE.get(buf[0]) ?? 'bulk';
+}
+
+/**
+ * Outbound frames of one peer, split by traffic class.
+ *
+ * Frames keep their order within a class. Across classes, `shift` runs a
+ * weighted round-robin: each round, a class may send up to its weight in
+ * frames, more urgent classes first, so control and lookup traffic
+ * overtakes a backlog of bulk frames without starving it.
+ */
+export class SendQueue {
+  /**
+   * @param {object} [opts]
+   * @param {Record<string, number>} [opts.weights]
+   * @param {number} [opts.maxFrames] - Limit per class.
+   */
+  constructor({
+    weights = DEFAULT_WEIGHTS,
+    maxFrames = MAX_QUEUED_FRAMES,
+  } = {}) {
+    this.weights = weights;
+    this.maxFrames = maxFrames;
+
+    /**
+     * @type {Record<string, {frame: Uint8Array, resolve?: Function, reject?: Function}[]>}
+     */
+    this.classes = Object.fromEntries(PRIORITIES.map((p) => [p, []]));
+    this.credits = { ...weights };
+    this.length = 0;
+  }
+
+  /**
+   * Queue all frames of one message.
+   *
+   * @param {string} priority
+   * @param {{frame: Uint8Array, resolve?: Function, reject?: Function}[]} items
+   * @returns {boolean} False, queueing nothing, if the class is full.
+   */
+  push(priority, items) {
+    const queue = this.classes[priority];
+    if (queue.length + items.length > this.maxFrames) return false;
+
+    queue.push(...items);
+    this.length += items.length;
+    return true;
+  }
+
+  /**
+   * Next frame to send, or undefined when empty.
+   *
+   * @param {string[]} [allowed] - Classes that may send right now.
+   * @returns {{frame: Uint8Array, resolve?: Function, reject?: Function, priority: string}|undefined}
+   */
+  shift(allowed = PRIORITIES) {
+    const ready = allowed.filter((p) => this.classes[p].length > 0);
+    if (0 === ready.length) return;
+
+    let priority = ready.find((p) => this.credits[p] > 0);
+    if (!priority) {
+      this.credits = { ...this.weights };
+      priority = ready[0];
+    }
+
+    this.credits[priority]--;
+    this.length--;
+    return { ...this.classes[priority].shift(), priority };
+  }
+
+  /**
+   * Frames queued in one class, or in all of them.
+   *
+   * @param {string} [priority]
+   * @returns {number}
+   */
+  depth(priority) {
+    return priority ? this.classes[priority].length : this.length;
+  }
+
+  /**
+   * Remove and return every queued frame.
+   *
+   * @returns {{frame: Uint8Array, resolve?: Function, reject?: Function}[]}
+   */
+  clear() {
+    const items = PRIORITIES.flatMap((p) => this.classes[p]);
+    for (const p of PRIORITIES) this.classes[p] = [];
+    this.length = 0;
+    return items;
+  }
+}
@@ -0,0 +1,396 @@
+import { EventEmitter } from 'events';
+import { systemClock } from './clock.js';
+import { WebSocket } from './platform.js';
+import { fromHex, toBase64, toHex } from './bytes.js';
+import { backoffDelay } from './reconnect-manager.js';
+import { registerPayload, sign } from './utils.js';
+
+const RETRY_DELAY = 1000; // first retry; doubles up to the max
+const MAX_RETRY_DELAY = 60_000;
+const PEERS_TIMEOUT = 2000; // wait for every server's `peers` reply
+
+/**
+ * Read the signaling servers from environment variables.
+ *
+ * `SIGNALLING_URLS` is a comma-separated list of WebSocket URLs. Without
+ * it, a single server is built from `SIGNALLING_HOST` and `SIGNALLING_PORT`.
+ *
+ * @param {Record<string, string|undefined>} [env]
+ * @returns {string[]}
+ */
+export function signalingUrlsFromEnv(env = process.env) {
+  const urls = (env.SIGNALLING_URLS ?? '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean);
+  if (urls.length) return urls;
+
+  return [
+    `ws://${env.SIGNALLING_HOST || 'localhost'}:${env.SIGNALLING_PORT || 3000}`,
+  ];
+}
+
+/**
+ * Connections to one or more WebSocket signaling servers.
+ *
+ * While open, the client stays connected and registered to every server it
+ * can reach, reconnecting to each one with backoff after it fails. Peer
+ * lists from all servers are merged, and direct signals are sent through a
+ * server the target is known to be registered on.
+ *
+ * Each server sends a `challenge` nonce when the connection opens; the
+ * client registers by signing it with its node key, and only uses the
+ * server once it has confirmed with `registered`.
+ *
+ * Events:
+ * - `open` (url): registered with a server
+ * - `peers` (peerIds): merged `peers` replies, keeping the order the
+ *   servers chose
+ * - `message` (msg, url): an offer, answer or ICE candidate
+ */
+export class SignalingClient extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {string[]} opts.urls - Signaling servers.
+   * @param {string} opts.nodeIdHex - ID to register under.
+   * @param {{publicKey: Uint8Array, privateKey: any}} opts.identity - Key
+   *   pair of that ID, to prove ownership when registering.
+   * @param {string} [opts.network=''] - Network to register on; servers
+   *   only return and relay to peers on the same network.
+   * @param {typeof systemClock} [opts.clock]
+   */
+  constructor({
+    urls,
+    nodeIdHex,
+    identity,
+    network = '',
+    clock = systemClock,
+  }) {
+    super();
+
+    this.urls = urls;
+    this.nodeIdHex = nodeIdHex;
+    this.identity = identity;
+    this.network = network;
+    this.clock = clock;
+
+    /**
+     * Whether the client should be connected; false once closed.
+     */
+    this.active = false;
+
+    /**
+     * Per server: its socket, whether the server has accepted the
+     * registration on it, failed attempts since it was last open, and the
+     * pending reconnect timer.
+     *
+     * @type {Map<string, {socket: WebSocket|null, registered: boolean, attempts: number, retry: any}>}
+     */
+    this.servers = new Map(
+      urls.map((url) => [
+        url,
+        { socket: null, registered: false, attempts: 0, retry: null },
+      ])
+    );
+
+    /**
+     * Servers each remote peer was last seen registered on.
+     *
+     * @type {Map<string, Set<string>>}
+     */
+    this.peerServers = new Map();
+
+    this.peersRound = null;
+  }
+
+  /**
+   * Whether the client is registered with at least one server.
+   *
+   * @returns {boolean}
+   */
+  get connected() {
+    return this.openUrls().length > 0;
+  }
+
+  /**
+   * URLs of the servers with an open connection the client is registered
+   * on.
+   *
+   * @returns {string[]}
+   */
+  openUrls() {
+    return this.urls.filter((url) => {
+      const server = this.servers.get(url);
+      return server.registered && WebSocket.OPEN === server.socket?.readyState;
+    });
+  }
+
+  /**
+   * Connect to every server.
+   */
+  open() {
+    if (this.active) return;
+    this.active = true;
+
+    for (const url of this.urls) this._connect(url);
+  }
+
+  /**
+   * Close every server connection and stop reconnecting.
+   */
+  close() {
+    this.active = false;
+
+    for (const server of this.servers.values()) {
+      this.clock.clearTimeout(server.retry);
+      server.retry = null;
+      server.attempts = 0;
+
+      const socket = server.socket;
+      server.socket = null;
+      server.registered = false;
+      socket?.close();
+    }
+
+    this.peerServers.clear();
+    this._finishPeersRound();
+  }
+
+  /**
+   * Send an offer, answer or ICE candidate to a peer.
+   *
+   * Goes through the first open server the peer is known to be registered
+   * on, or through every open server if there is none.
+   *
+   * @param {{type: string, to: string}} msg
+   * @returns {boolean} Whether any server was open.
+   */
+  send(msg) {
+    const open = this.openUrls();
+    if (0 === open.length) return false;
+
+    const known = this.peerServers.get(msg.to);
+    const via = open.find((url) => known?.has(url));
+    const data = JSON.stringify(msg);
+
+    for (const url of via ? [via] : open) {
+      this.servers.get(url).socket.send(data);
+    }
+    return true;
+  }
+
+  /**
+   * Ask every open server for peers. Replies are merged and emitted as one
+   * `peers` event once all have answered, or after PEERS_TIMEOUT.
+   */
+  requestPeers() {
+    for (const url of this.openUrls()) this._requestPeers(url);
+  }
+
+  /**
+   * @private
+   * @param {string} url
+   */
+  _connect(url) {
+    const server = this.servers.get(url);
+    if (!this.active || server.socket) return;
+
+    const socket = new WebSocket(url);
+    server.socket = socket;
+
+    socket.onmessage = ({ data }) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch {
+        return;
+      }
+      this._handleMessage(url, msg);
+    };
+
+    socket.onerror = (event) => {
+      console.warn(
+        `Signaling connection error (${url}):`,
+        event.message ?? 'connection failed'
+      );
+    };
+
+    socket.onclose = () => {
+      if (server.socket !== socket) return;
+
+      server.socket = null;
+      server.registered = false;
+      this._forgetServer(url);
+      this._scheduleRetry(url);
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} url
+   */
+  _scheduleRetry(url) {
+    const server = this.servers.get(url);
+    if (!this.active || server.retry) return;
+
+    const delay = backoffDelay(server.attempts++, {
+      base: RETRY_DELAY,
+      max: MAX_RETRY_DELAY,
+    });
+
+    server.retry = this.clock.setTimeout(() => {
+      server.retry = null;
+      this._connect(url);
+    }, delay);
+  }
+
+  /**
+   * @private
+   * @param {string} url
+   * @param {object} msg
+   */
+  _handleMessage(url, msg) {
+    if ('challenge' === msg.type) {
+      this._register(url, msg.nonce).catch((err) =>
+        console.warn(`Signaling registration failed (${url}):`, err.message)
+      );
+      return;
+    }
+
+    if ('registered' === msg.type) {
+      const server = this.servers.get(url);
+      server.registered = true;
+      server.attempts = 0;
+      this._requestPeers(url);
+      this.emit('open', url);
+      return;
+    }
+
+    if ('error' === msg.type) {
+      console.warn(`Signaling server error (${url}):`, msg.code, msg.message);
+      return;
+    }
+
+    if ('peers' === msg.type) {
+      if (!Array.isArray(msg.peers)) return;
+
+      for (const peerIdHex of msg.peers) this._learn(peerIdHex, url);
+
+      const round = this.peersRound;
+      if (!round?.waiting.delete(url)) return;
+
+      round.replies.push(msg.peers);
+      if (0 === round.waiting.size) this._finishPeersRound();
+      return;
+    }
+
+    if ('string' === typeof msg.from) this._learn(msg.from, url);
+    this.emit('message', msg, url);
+  }
+
+  /**
+   * Answer a server's challenge with a signed registration.
+   *
+   * @private
+   * @param {string} url
+   * @param {string} nonceHex
+   */
+  async _register(url, nonceHex) {
+    const socket = this.servers.get(url).socket;
+    if ('string' !== typeof nonceHex) return;
+
+    const signature = await sign(
+      this.identity.privateKey,
+      registerPayload(fromHex(nonceHex), fromHex(this.nodeIdHex))
+    );
+    if (this.servers.get(url).socket !== socket) return;
+    if (WebSocket.OPEN !== socket.readyState) return;
+
+    socket.send(
+      JSON.stringify({
+        type: 'register',
+        peerId: this.nodeIdHex,
+        network: this.network,
+        publicKey: toHex(this.identity.publicKey),
+        signature: toBase64(signature),
+      })
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} url
+   */
+  _requestPeers(url) {
+    if (!this.peersRound) {
+      this.peersRound = {
+        waiting: new Set(),
+        replies: [],
+        timer: this.clock.setTimeout(
+          () => this._finishPeersRound(),
+          PEERS_TIMEOUT
+        ),
+      };
+    }
+
+    this.peersRound.waiting.add(url);
+    this.servers.get(url).socket.send(JSON.stringify({ type: 'get-peers' }));
+  }
+
+  /**
+   * Emit the peers of the current round. Replies are interleaved, so the
+   * first peers each server chose come before the rest of any one list.
+   *
+   * @private
+   */
+  _finishPeersRound() {
+    const round = this.peersRound;
+    if (!round) return;
+
+    this.clock.clearTimeout(round.timer);
+    this.peersRound = null;
+    if (!this.active) return;
+
+    const peers = new Set();
+    const longest = Math.max(0, ...round.replies.map((list) => list.length));
+    for (let i = 0; i < longest; i++) {
+      for (const list of round.replies) {
+        if (i < list.length && list[i] !== this.nodeIdHex) peers.add(list[i]);
+      }
+    }
+
+    this.emit('peers', [...peers]);
+  }
+
+  /**
+   * @private
+   * @param {string} peerIdHex
+   * @param {string} url
+   */
+  _learn(peerIdHex, url) {
+    let urls = this.peerServers.get(peerIdHex);
+    if (!urls) {
+      urls = new Set();
+      this.peerServers.set(peerIdHex, urls);
+    }
+    urls.add(url);
+  }
+
+  /**
+   * Forget which peers are on a server whose connection closed; they may
+   * have moved by the time it is back.
+   *
+   * @private
+   * @param {string} url
+   */
+  _forgetServer(url) {
+    for (const [peerIdHex, urls] of this.peerServers) {
+      urls.delete(url);
+      if (0 === urls.size) this.peerServers.delete(peerIdHex);
+    }
+
+    if (this.peersRound?.waiting.delete(url)) {
+      if (0 === this.peersRound.waiting.size) this._finishPeersRound();
+    }
+  }
+}
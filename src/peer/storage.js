@@ -0,0 +1,85 @@
+/**
+ * Base class for the record store used by PeerNode.
+ *
+ * Storage is keyed by the hex-encoded DHT key and holds one entry per key:
+ *
+ * ```js
+ * {
+ *   record,      // the stored record, as sent on the wire
+ *   expires,     // expiry time in milliseconds
+ *   publisher,   // whether this node published the record
+ *   lastRepair,  // time of the last replica repair
+ * }
+ * ```
+ *
+ * The interface mirrors the subset of `Map` that PeerNode uses, and is
+ * synchronous so that handlers can read and update entries without
+ * interleaving. Entries are treated as immutable: to change one, `set` a
+ * new object.
+ */
+export class RecordStorage {
+  /**
+   * Prepare the storage for use, loading any persisted entries.
+   *
+   * Called by PeerNode.start() before any other method.
+   */
+  open() {}
+
+  /**
+   * Flush and release any resources.
+   */
+  close() {}
+
+  /**
+   * @param {string} keyHex
+   * @returns {object|undefined}
+   */
+  get(keyHex) {
+    throw new Error(`get(${keyHex}) not implemented`);
+  }
+
+  /**
+   * @param {string} keyHex
+   * @param {object} entry
+   * @returns {this}
+   */
+  set(keyHex) {
+    throw new Error(`set(${keyHex}) not implemented`);
+  }
+
+  /**
+   * @param {string} keyHex
+   * @returns {boolean} Whether an entry was removed.
+   */
+  delete(keyHex) {
+    throw new Error(`delete(${keyHex}) not implemented`);
+  }
+
+  /**
+   * @param {string} keyHex
+   * @returns {boolean}
+   */
+  has(keyHex) {
+    return this.get(keyHex) !== undefined;
+  }
+
+  /**
+   * @returns {IterableIterator<[string, object]>}
+   */
+  entries() {
+    throw new Error('entries() not implemented');
+  }
+
+  /**
+   * Number of stored entries.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return 0;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
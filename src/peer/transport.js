@@ -0,0 +1,145 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Base class for peer-to-peer transports used by ConnectionManager.
+ *
+ * A transport owns the actual links to remote peers (WebRTC data channels,
+ * in-process loopback pipes, ...). ConnectionManager drives it through
+ * `dial`, `accept`, `send` and `close`, relays any signaling the transport
+ * asks for, and reacts to the state events below.
+ *
+ * Events:
+ * - `signal` (peerIdHex, type, payload): a MSG_SIGNAL_* message that must be
+ *   delivered to the remote peer through the signaling path
+ * - `connected` (peerIdHex): the underlying connection is established
+ * - `open` (peerIdHex): the link is ready to carry DHT messages
+ * - `message` (peerIdHex, buf): a binary message was received
+ * - `drain` (peerIdHex): the link's send buffer fell below its low-water
+ *   mark, so more messages can be sent
+ * - `closed` (peerIdHex): the link failed or was closed by the remote side
+ */
+export class Transport extends EventEmitter {
+  /**
+   * Bind the transport to the local node ID.
+   *
+   * Called once by ConnectionManager before any other method.
+   *
+   * @param {string} nodeIdHex
+   */
+  listen(nodeIdHex) {
+    this.nodeIdHex = nodeIdHex;
+  }
+
+  /**
+   * Start an outbound connection to a peer.
+   *
+   * @param {string} peerIdHex
+   * @returns {Promise<void>}
+   */
+  async dial(peerIdHex) {
+    throw new Error(`dial(${peerIdHex}) not implemented`);
+  }
+
+  /**
+   * Accept an incoming connection described by a remote offer.
+   *
+   * @param {string} peerIdHex
+   * @param {any} offer
+   * @returns {Promise<void>}
+   */
+  async accept(peerIdHex) {
+    throw new Error(`accept(${peerIdHex}) not implemented`);
+  }
+
+  /**
+   * Apply the remote answer to an outbound connection.
+   *
+   * Transports without an offer/answer exchange can ignore this.
+   *
+   * @param {string} peerIdHex
+   * @param {any} answer
+   * @returns {Promise<void>}
+   */
+  async handleAnswer() {}
+
+  /**
+   * Apply a remote ICE candidate (or equivalent) to a connection.
+   *
+   * Transports without candidate exchange can ignore this.
+   *
+   * @param {string} peerIdHex
+   * @param {any} candidate
+   * @returns {Promise<void>}
+   */
+  async addIceCandidate() {}
+
+  /**
+   * Send a binary message to a peer.
+   *
+   * @param {string} peerIdHex
+   * @param {Uint8Array} buf
+   * @returns {boolean} Whether the message was handed to an open link.
+   */
+  send() {
+    return false;
+  }
+
+  /**
+   * Close the link to a peer.
+   *
+   * Does not emit `closed`; the caller already knows.
+   *
+   * @param {string} peerIdHex
+   */
+  close() {}
+
+  /**
+   * Whether a connection (open or still negotiating) exists for a peer.
+   *
+   * @param {string} peerIdHex
+   * @returns {boolean}
+   */
+  has() {
+    return false;
+  }
+
+  /**
+   * Bytes handed to `send` but not yet transmitted to a peer.
+   *
+   * Transports without a send buffer always report 0.
+   *
+   * @param {string} peerIdHex
+   * @returns {number}
+   */
+  bufferedAmount() {
+    return 0;
+  }
+
+  /**
+   * Whether the link to a peer is open for messages.
+   *
+   * @param {string} peerIdHex
+   * @returns {boolean}
+   */
+  isOpen() {
+    return false;
+  }
+
+  /**
+   * IDs of all peers with an existing connection.
+   *
+   * @returns {string[]}
+   */
+  peerIds() {
+    return [];
+  }
+
+  /**
+   * Close every connection. The transport is not used again afterwards.
+   */
+  destroy() {
+    for (const peerIdHex of this.peerIds()) {
+      this.close(peerIdHex);
+    }
+  }
+}
@@ -1,53 +1,174 @@
-import crypto from 'crypto';
-
 import {
+  MSG_AUTH,
+  MSG_CHUNK,
   MSG_FIND_NODE,
   MSG_FIND_NODE_RESPONSE,
   MSG_FIND_VALUE,
   MSG_FIND_VALUE_RESPONSE,
+  MSG_GOODBYE,
+  MSG_HAS_VALUE,
+  MSG_HAS_VALUE_RESPONSE,
+  MSG_HELLO,
   MSG_PING,
   MSG_PONG,
   MSG_STORE,
   MSG_STORE_ACK,
+  MAX_NETWORK_ID_LEN,
   NODE_ID_LEN,
+  NONCE_LEN,
+  PUBLIC_KEY_LEN,
+  SIGNATURE_LEN,
 } from './constants.js';
+import {
+  concatBytes,
+  equalBytes,
+  fromBase64,
+  fromHex,
+  toBase64,
+  toBytes,
+  toHex,
+  toUtf8,
+  viewOf,
+} from './bytes.js';
+import {
+  ed25519Generate,
+  ed25519PublicKey,
+  ed25519Sign,
+  ed25519Verify,
+  randomBytes,
+  sha256,
+} from './platform.js';
+
+/**
+ * Domain separator for handshake signatures.
+ */
+const HANDSHAKE_CONTEXT = toBytes('webrtc-dht/handshake/v1');
+
+/**
+ * Domain separator for signaling server registration signatures.
+ */
+const REGISTER_CONTEXT = toBytes('webrtc-dht/register/v1');
+
+/**
+ * Domain separator for record signatures.
+ */
+const RECORD_CONTEXT = toBytes('webrtc-dht/record/v1');
+
+/**
+ * Domain separator for mutable record signatures.
+ */
+const MUTABLE_CONTEXT = toBytes('webrtc-dht/mutable/v1');
+
+/**
+ * Maximum salt length for mutable records, as in BEP44.
+ */
+export const MAX_SALT_LEN = 64;
+
+/**
+ * Generate an Ed25519 node identity.
+ *
+ * The node ID is SHA-256 of the raw public key, so a peer can prove it
+ * owns its ID by signing with the matching private key.
+ *
+ * @param {Uint8Array} [seed] - 32-byte private key seed for a
+ *   deterministic identity; random if omitted.
+ * @returns {Promise<Identity>}
+ */
+export async function createIdentity(seed) {
+  const { publicKey, privateKey } = await ed25519Generate(seed);
+
+  return {
+    nodeId: await nodeIdFromPublicKey(publicKey),
+    publicKey,
+    privateKey,
+  };
+}
+
+/**
+ * A node's key pair and the node ID derived from it. The private key is a
+ * `crypto.KeyObject` in Node and a WebCrypto `CryptoKey` in browsers.
+ *
+ * @typedef {{nodeId: Uint8Array, publicKey: Uint8Array, privateKey: any}} Identity
+ */
+
+/**
+ * Build a node identity from an existing Ed25519 private key.
+ *
+ * @param {any} privateKey
+ * @returns {Promise<Identity>}
+ */
+export async function identityFromPrivateKey(privateKey) {
+  const publicKey = await ed25519PublicKey(privateKey);
+
+  return {
+    nodeId: await nodeIdFromPublicKey(publicKey),
+    publicKey,
+    privateKey,
+  };
+}
 
 /**
- * Generate a cryptographically secure node ID.
- * Uses SHA-256(random 32 bytes).
+ * Derive a node ID from a raw Ed25519 public key.
  *
- * @returns {Buffer} 32-byte node ID
+ * @param {Uint8Array} publicKey
+ * @returns {Promise<Uint8Array>}
  */
-export function createNodeId() {
-  return crypto.createHash('sha256').update(crypto.randomBytes(32)).digest();
+export function nodeIdFromPublicKey(publicKey) {
+  return sha256(publicKey);
+}
+
+/**
+ * Sign data with an Ed25519 private key.
+ *
+ * @param {any} privateKey
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>} 64-byte signature
+ */
+export function sign(privateKey, data) {
+  return ed25519Sign(privateKey, data);
+}
+
+/**
+ * Verify an Ed25519 signature against a raw public key.
+ *
+ * @param {Uint8Array} publicKey
+ * @param {Uint8Array} data
+ * @param {Uint8Array} signature
+ * @returns {Promise<boolean>}
+ */
+export async function verify(publicKey, data, signature) {
+  if (publicKey?.length !== PUBLIC_KEY_LEN) return false;
+  if (signature?.length !== SIGNATURE_LEN) return false;
+
+  return ed25519Verify(publicKey, data, signature);
 }
 
 /**
  * Generate an 8-byte message ID for request/response correlation.
  *
- * @returns {Buffer}
+ * @returns {Uint8Array}
  */
 export function generateMessageId() {
-  return crypto.randomBytes(8);
+  return randomBytes(8);
 }
 
 /**
  * Generate a random node ID without hashing.
  *
- * @returns {Buffer}
+ * @returns {Uint8Array}
  */
 export function randomNodeId() {
-  return crypto.randomBytes(32);
+  return randomBytes(32);
 }
 
 /**
  * Derive a DHT key ID from an arbitrary key.
  *
- * @param {string|Buffer} key
- * @returns {Buffer}
+ * @param {string|Uint8Array} key
+ * @returns {Promise<Uint8Array>}
  */
 export function generateKeyId(key) {
-  return crypto.createHash('sha256').update(key).digest();
+  return sha256(toBytes(key));
 }
 
 /**
@@ -56,28 +177,188 @@ export function generateKeyId(key) {
  * Format:
  * [type=PING][nodeId]
  *
- * @param {Buffer} nodeId
- * @returns {Buffer}
+ * @param {Uint8Array} nodeId
+ * @returns {Uint8Array}
  */
 export function encodePing(nodeId) {
-  return Buffer.concat([Buffer.from([MSG_PING]), Buffer.from(nodeId)]);
+  return concatBytes([Uint8Array.of(MSG_PING), nodeId]);
 }
 
 /**
  * Encode a PONG message.
  *
- * @param {Buffer} nodeId
- * @returns {Buffer}
+ * @param {Uint8Array} nodeId
+ * @returns {Uint8Array}
  */
 export function encodePong(nodeId) {
-  return Buffer.concat([Buffer.from([MSG_PONG]), Buffer.from(nodeId)]);
+  return concatBytes([Uint8Array.of(MSG_PONG), nodeId]);
+}
+
+/**
+ * Encode a GOODBYE, sent to every peer by a node that is shutting down.
+ *
+ * Format:
+ * [type=GOODBYE]
+ *
+ * @returns {Uint8Array}
+ */
+export function encodeGoodbye() {
+  return Uint8Array.of(MSG_GOODBYE);
+}
+
+/**
+ * Size of a CHUNK header: type, message ID, sequence number and count.
+ */
+export const CHUNK_HEADER_LEN = 1 + 4 + 2 + 2;
+
+/**
+ * Encode one chunk of a message too large for a single frame.
+ *
+ * Format:
+ * [type=CHUNK][messageId u32][seq u16][count u16][data]
+ *
+ * @param {number} messageId - Per-sender ID shared by all chunks.
+ * @param {number} seq - Index of this chunk.
+ * @param {number} count - Total number of chunks.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function encodeChunk(messageId, seq, count, data) {
+  const buf = new Uint8Array(CHUNK_HEADER_LEN + data.length);
+  const view = viewOf(buf);
+  buf[0] = MSG_CHUNK;
+  view.setUint32(1, messageId);
+  view.setUint16(5, seq);
+  view.setUint16(7, count);
+  buf.set(data, CHUNK_HEADER_LEN);
+
+  return buf;
+}
+
+/**
+ * Decode a CHUNK.
+ *
+ * @param {Uint8Array} buf
+ * @returns {{messageId: number, seq: number, count: number, data: Uint8Array}}
+ */
+export function decodeChunk(buf) {
+  if (buf.length < CHUNK_HEADER_LEN) throw new Error('Malformed CHUNK');
+
+  const view = viewOf(buf);
+  return {
+    messageId: view.getUint32(1),
+    seq: view.getUint16(5),
+    count: view.getUint16(7),
+    data: buf.subarray(CHUNK_HEADER_LEN),
+  };
+}
+
+/**
+ * Encode a handshake HELLO carrying a fresh challenge nonce and the
+ * sender's network ID.
+ *
+ * Format:
+ * [type=HELLO][nonce][network (UTF-8, empty for the default network)]
+ *
+ * @param {Uint8Array} nonce
+ * @param {string} [network='']
+ * @returns {Uint8Array}
+ */
+export function encodeHello(nonce, network = '') {
+  return concatBytes([Uint8Array.of(MSG_HELLO), nonce, toBytes(network)]);
+}
+
+/**
+ * Decode a handshake HELLO.
+ *
+ * @param {Uint8Array} buf
+ * @returns {{nonce: Uint8Array, network: string}}
+ */
+export function decodeHello(buf) {
+  if (
+    buf.length < 1 + NONCE_LEN ||
+    buf.length > 1 + NONCE_LEN + MAX_NETWORK_ID_LEN
+  ) {
+    throw new Error('Malformed HELLO');
+  }
+
+  return {
+    nonce: buf.subarray(1, 1 + NONCE_LEN),
+    network: toUtf8(buf.subarray(1 + NONCE_LEN)),
+  };
+}
+
+/**
+ * Encode a handshake AUTH answering the peer's challenge.
+ *
+ * Format:
+ * [type=AUTH][publicKey][signature]
+ *
+ * @param {Uint8Array} publicKey
+ * @param {Uint8Array} signature
+ * @returns {Uint8Array}
+ */
+export function encodeAuth(publicKey, signature) {
+  return concatBytes([Uint8Array.of(MSG_AUTH), publicKey, signature]);
+}
+
+/**
+ * Decode a handshake AUTH.
+ *
+ * @param {Uint8Array} buf
+ * @returns {{publicKey: Uint8Array, signature: Uint8Array}}
+ */
+export function decodeAuth(buf) {
+  if (buf.length !== 1 + PUBLIC_KEY_LEN + SIGNATURE_LEN) {
+    throw new Error('Malformed AUTH');
+  }
+  return {
+    publicKey: buf.subarray(1, 1 + PUBLIC_KEY_LEN),
+    signature: buf.subarray(1 + PUBLIC_KEY_LEN),
+  };
+}
+
+/**
+ * Bytes signed in a handshake AUTH.
+ *
+ * Binds the verifier's nonce to both node IDs so a signature cannot be
+ * replayed on another link, and to the network both sides are on.
+ *
+ * @param {Uint8Array} nonce - Challenge sent by the verifier.
+ * @param {Uint8Array} signerId
+ * @param {Uint8Array} verifierId
+ * @param {string} [network=''] - Network ID.
+ * @returns {Uint8Array}
+ */
+export function handshakePayload(nonce, signerId, verifierId, network = '') {
+  return concatBytes([
+    HANDSHAKE_CONTEXT,
+    nonce,
+    signerId,
+    verifierId,
+    toBytes(network),
+  ]);
+}
+
+/**
+ * Bytes signed to register with a signaling server.
+ *
+ * The server sends a fresh nonce on every connection, so a registration
+ * cannot be replayed to claim the node ID later.
+ *
+ * @param {Uint8Array} nonce - Challenge sent by the server.
+ * @param {Uint8Array} nodeId - ID being registered.
+ * @returns {Uint8Array}
+ */
+export function registerPayload(nonce, nodeId) {
+  return concatBytes([REGISTER_CONTEXT, nonce, nodeId]);
 }
 
 /**
  * Decode a generic message.
  *
- * @param {Buffer} buf
- * @returns {{type: number, content: Buffer}}
+ * @param {Uint8Array} buf
+ * @returns {{type: number, content: Uint8Array}}
  */
 export function decodeMessage(buf) {
   if (buf.length < 1) throw new Error('Malformed message');
@@ -91,23 +372,40 @@ export function decodeMessage(buf) {
 /**
  * Compute XOR distance between two buffers.
  *
- * @param {Buffer} a
- * @param {Buffer} b
- * @returns {Buffer}
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Uint8Array}
  */
 export function xorDistance(a, b) {
-  const buf = Buffer.alloc(a.length);
+  const buf = new Uint8Array(a.length);
   for (let i = 0; i < a.length; i++) {
     buf[i] = a[i] ^ b[i];
   }
   return buf;
 }
 
+/**
+ * Index of the first bit in which two IDs differ, i.e. the k-bucket `b`
+ * falls in from `a`'s point of view; the ID length in bits if they are
+ * equal.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {number}
+ */
+export function bucketIndex(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] ^ b[i];
+    if (0 !== diff) return i * 8 + Math.clz32(diff) - 24;
+  }
+  return a.length * 8;
+}
+
 /**
  * Compare two XOR distances lexicographically.
  *
- * @param {Buffer} a
- * @param {Buffer} b
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
  * @returns {number}
  */
 export function compareDistance(a, b) {
@@ -120,28 +418,28 @@ export function compareDistance(a, b) {
 /**
  * Encode FIND_NODE request.
  *
- * @param {Buffer} messageId 8 bytes
- * @param {Buffer} targetNodeId
- * @returns {Buffer}
+ * @param {Uint8Array} messageId 8 bytes
+ * @param {Uint8Array} targetNodeId
+ * @returns {Uint8Array}
  */
 export function encodeFindNode(messageId, targetNodeId) {
   if (messageId.length !== 8) {
     throw new Error('messageId must be 8 bytes');
   }
 
-  const buf = Buffer.alloc(1 + 8 + NODE_ID_LEN);
+  const buf = new Uint8Array(1 + 8 + NODE_ID_LEN);
   buf[0] = MSG_FIND_NODE;
-  messageId.copy(buf, 1);
-  targetNodeId.copy(buf, 9);
+  buf.set(messageId, 1);
+  buf.set(targetNodeId, 9);
   return buf;
 }
 
 /**
  * Encode FIND_NODE response.
  *
- * @param {Buffer} messageId
- * @param {Buffer[]} nodeIds
- * @returns {Buffer}
+ * @param {Uint8Array} messageId
+ * @param {Uint8Array[]} nodeIds
+ * @returns {Uint8Array}
  */
 export function encodeFindNodeResponse(messageId, nodeIds) {
   if (messageId.length !== 8) {
@@ -149,14 +447,14 @@ export function encodeFindNodeResponse(messageId, nodeIds) {
   }
 
   const count = nodeIds.length;
-  const buf = Buffer.alloc(1 + 8 + 1 + count * NODE_ID_LEN);
+  const buf = new Uint8Array(1 + 8 + 1 + count * NODE_ID_LEN);
 
   buf[0] = MSG_FIND_NODE_RESPONSE;
-  messageId.copy(buf, 1);
+  buf.set(messageId, 1);
   buf[9] = count;
 
   nodeIds.forEach((id, i) => {
-    id.copy(buf, 10 + i * NODE_ID_LEN);
+    buf.set(id, 10 + i * NODE_ID_LEN);
   });
 
   return buf;
@@ -165,8 +463,8 @@ export function encodeFindNodeResponse(messageId, nodeIds) {
 /**
  * Decode FIND_NODE request.
  *
- * @param {Buffer} buf
- * @returns {{messageId: Buffer, targetNodeId: Buffer}}
+ * @param {Uint8Array} buf
+ * @returns {{messageId: Uint8Array, targetNodeId: Uint8Array}}
  */
 export function decodeFindNode(buf) {
   const messageId = buf.subarray(1, 9);
@@ -177,8 +475,8 @@ export function decodeFindNode(buf) {
 /**
  * Decode FIND_NODE response.
  *
- * @param {Buffer} buf
- * @returns {{messageId: Buffer, nodes: Buffer[]}}
+ * @param {Uint8Array} buf
+ * @returns {{messageId: Uint8Array, nodes: Uint8Array[]}}
  */
 export function decodeFindNodeResponse(buf) {
   const messageId = buf.subarray(1, 9);
@@ -194,57 +492,296 @@ export function decodeFindNodeResponse(buf) {
 /**
  * Encode a routed DHT signaling message.
  *
+ * Besides `from`, `to` and the signal itself, the payload carries a hop
+ * budget (`ttl`), the node IDs it has passed through so far, starting with
+ * the sender (`path`), and optionally the remaining hops of an explicit
+ * route back along a recorded path (`route`).
+ *
  * @param {number} type
- * @param {object} payload
- * @returns {Buffer}
+ * @param {{from: string, to: string, payload: any, ttl: number, path: string[], route?: string[], messageId?: string}} payload
+ * @returns {Uint8Array}
  */
 export function encodeSignal(type, payload) {
   if (!payload.messageId) {
-    payload.messageId = generateMessageId().toString('hex');
+    payload.messageId = toHex(generateMessageId());
   }
 
-  const payloadBuf = Buffer.from(JSON.stringify(payload), 'utf8');
-  const buf = Buffer.alloc(1 + payloadBuf.length);
+  const payloadBuf = toBytes(JSON.stringify(payload));
+  const buf = new Uint8Array(1 + payloadBuf.length);
   buf[0] = type;
-  payloadBuf.copy(buf, 1);
+  buf.set(payloadBuf, 1);
   return buf;
 }
 
 /**
  * Decode a routed DHT signaling message.
  *
- * @param {Buffer} buf
+ * @param {Uint8Array} buf
  * @returns {{type: number, payload: any}}
  */
 export function decodeSignal(buf) {
   const type = buf[0];
-  const payload = JSON.parse(buf.subarray(1).toString());
+  const payload = JSON.parse(toUtf8(buf.subarray(1)));
 
   if (!payload.messageId) {
     throw new Error('Signal payload missing messageId');
   }
+  if (!Number.isInteger(payload.ttl) || !isHexList(payload.path)) {
+    throw new Error('Signal payload missing ttl or path');
+  }
+  if (undefined !== payload.route && !isHexList(payload.route)) {
+    throw new Error('Signal payload has an invalid route');
+  }
 
   return { type, payload };
 }
 
+/**
+ * @param {any} list
+ * @returns {boolean} Whether `list` is an array of hex node IDs.
+ */
+function isHexList(list) {
+  return (
+    Array.isArray(list) &&
+    list.every((id) => 'string' === typeof id && /^[0-9a-f]+$/.test(id))
+  );
+}
+
+/**
+ * Bytes signed by a record's publisher.
+ *
+ * Covers the DHT key, so a record cannot be replayed under another key.
+ *
+ * @param {Uint8Array} keyId
+ * @param {{data: string, ts: number}} record
+ * @returns {Uint8Array}
+ */
+function recordPayload(keyId, record) {
+  const ts = new Uint8Array(8);
+  viewOf(ts).setBigUint64(0, BigInt(record.ts));
+
+  return concatBytes([RECORD_CONTEXT, keyId, ts, fromBase64(record.data)]);
+}
+
+/**
+ * Create a record signed by its publisher.
+ *
+ * @param {Identity} identity
+ * @param {Uint8Array} keyId
+ * @param {Uint8Array|string} value
+ * @param {number} ts
+ * @returns {Promise<{data: string, ts: number, pub: string, pk: string, sig: string}>}
+ */
+export async function signRecord(identity, keyId, value, ts) {
+  const record = {
+    data: toBase64(toBytes(value)),
+    ts,
+    pub: toHex(identity.nodeId),
+    pk: toHex(identity.publicKey),
+  };
+
+  record.sig = toBase64(
+    await sign(identity.privateKey, recordPayload(keyId, record))
+  );
+
+  return record;
+}
+
+/**
+ * Check that a record was signed by the publisher named in `pub`.
+ *
+ * @param {Uint8Array} keyId
+ * @param {any} record
+ * @returns {Promise<boolean>}
+ */
+export async function verifyRecord(keyId, record) {
+  if (!record || typeof record !== 'object') return false;
+  if (typeof record.data !== 'string') return false;
+  if (!Number.isSafeInteger(record.ts) || record.ts < 0) return false;
+  if (typeof record.pub !== 'string' || typeof record.pk !== 'string') {
+    return false;
+  }
+  if (typeof record.sig !== 'string') return false;
+
+  const publicKey = fromHex(record.pk);
+  if (toHex(await nodeIdFromPublicKey(publicKey)) !== record.pub) {
+    return false;
+  }
+
+  try {
+    return await verify(
+      publicKey,
+      recordPayload(keyId, record),
+      fromBase64(record.sig)
+    );
+  } catch {
+    return false; // invalid base64
+  }
+}
+
+/**
+ * Derive the DHT key of a mutable record from its owner's public key and
+ * an optional salt.
+ *
+ * @param {Uint8Array} publicKey
+ * @param {Uint8Array|string} [salt]
+ * @returns {Promise<Uint8Array>}
+ */
+export function generateMutableKeyId(publicKey, salt = '') {
+  return sha256(concatBytes([publicKey, toBytes(salt)]));
+}
+
+/**
+ * Bytes signed by a mutable record's owner.
+ *
+ * The DHT key is implied by the public key and salt, so it is not included.
+ *
+ * @param {{data: string, seq: number, salt: string}} record
+ * @returns {Uint8Array}
+ */
+function mutablePayload(record) {
+  const salt = fromBase64(record.salt);
+  const seq = new Uint8Array(8);
+  viewOf(seq).setBigUint64(0, BigInt(record.seq));
+
+  return concatBytes([
+    MUTABLE_CONTEXT,
+    Uint8Array.of(salt.length),
+    salt,
+    seq,
+    fromBase64(record.data),
+  ]);
+}
+
+/**
+ * Create a mutable record signed by its owner.
+ *
+ * @param {{publicKey: Uint8Array, privateKey: any}} keys
+ * @param {Uint8Array|string} value
+ * @param {number} seq - Sequence number; higher values supersede lower ones.
+ * @param {Uint8Array|string} [salt]
+ * @returns {Promise<{type: 'mutable', data: string, seq: number, salt: string, pk: string, sig: string}>}
+ */
+export async function signMutableRecord(keys, value, seq, salt = '') {
+  const saltBytes = toBytes(salt);
+  if (saltBytes.length > MAX_SALT_LEN) {
+    throw new Error(`salt must be at most ${MAX_SALT_LEN} bytes`);
+  }
+
+  const record = {
+    type: 'mutable',
+    data: toBase64(toBytes(value)),
+    seq,
+    salt: toBase64(saltBytes),
+    pk: toHex(keys.publicKey),
+  };
+
+  record.sig = toBase64(await sign(keys.privateKey, mutablePayload(record)));
+
+  return record;
+}
+
+/**
+ * Check that a mutable record belongs under `keyId` and was signed by the
+ * key it names.
+ *
+ * @param {Uint8Array} keyId
+ * @param {any} record
+ * @returns {Promise<boolean>}
+ */
+export async function verifyMutableRecord(keyId, record) {
+  if (!record || 'mutable' !== record.type) return false;
+  if (typeof record.data !== 'string') return false;
+  if (!Number.isSafeInteger(record.seq) || record.seq < 0) return false;
+  if (typeof record.salt !== 'string' || typeof record.pk !== 'string') {
+    return false;
+  }
+  if (typeof record.sig !== 'string') return false;
+
+  try {
+    const publicKey = fromHex(record.pk);
+    const salt = fromBase64(record.salt);
+    if (salt.length > MAX_SALT_LEN) return false;
+    if (!equalBytes(await generateMutableKeyId(publicKey, salt), keyId)) {
+      return false;
+    }
+
+    return await verify(
+      publicKey,
+      mutablePayload(record),
+      fromBase64(record.sig)
+    );
+  } catch {
+    return false; // invalid base64
+  }
+}
+
+/**
+ * Derive the DHT key of an immutable record from its content.
+ *
+ * The content is hashed behind a type prefix, so a blob never lands on the
+ * key `generateKeyId` gives the same bytes.
+ *
+ * @param {Uint8Array|string} value
+ * @returns {Promise<Uint8Array>}
+ */
+export function generateImmutableKeyId(value) {
+  return sha256(concatBytes([toBytes('immutable:'), toBytes(value)]));
+}
+
+/**
+ * Create a content-addressed record. Its key is
+ * `generateImmutableKeyId(value)`, so it needs no signature.
+ *
+ * @param {Uint8Array|string} value
+ * @returns {{type: 'immutable', data: string}}
+ */
+export function createImmutableRecord(value) {
+  return {
+    type: 'immutable',
+    data: toBase64(toBytes(value)),
+  };
+}
+
+/**
+ * Check that an immutable record's data hashes to `keyId`.
+ *
+ * @param {Uint8Array} keyId
+ * @param {any} record
+ * @returns {Promise<boolean>}
+ */
+export async function verifyImmutableRecord(keyId, record) {
+  if (!record || 'immutable' !== record.type) return false;
+  if (typeof record.data !== 'string') return false;
+
+  try {
+    return equalBytes(
+      await generateImmutableKeyId(fromBase64(record.data)),
+      keyId
+    );
+  } catch {
+    return false; // invalid base64
+  }
+}
+
 /**
  * Encode STORE message.
  *
- * @param {Buffer} messageId
- * @param {Buffer} key
+ * @param {Uint8Array} messageId
+ * @param {Uint8Array} key
  * @param {object} record
- * @returns {Buffer}
+ * @returns {Uint8Array}
  */
 export function encodeStore(messageId, key, record) {
   const json = JSON.stringify(record);
-  const valueBuf = Buffer.from(json);
-  const buf = Buffer.alloc(1 + 8 + NODE_ID_LEN + 4 + valueBuf.length);
+  const valueBuf = toBytes(json);
+  const buf = new Uint8Array(1 + 8 + NODE_ID_LEN + 4 + valueBuf.length);
 
   buf[0] = MSG_STORE;
-  messageId.copy(buf, 1);
-  key.copy(buf, 9);
-  buf.writeUInt32BE(valueBuf.length, 9 + NODE_ID_LEN);
-  valueBuf.copy(buf, 13 + NODE_ID_LEN);
+  buf.set(messageId, 1);
+  buf.set(key, 9);
+  viewOf(buf).setUint32(9 + NODE_ID_LEN, valueBuf.length);
+  buf.set(valueBuf, 13 + NODE_ID_LEN);
 
   return buf;
 }
@@ -252,16 +789,14 @@ export function encodeStore(messageId, key, record) {
 /**
  * Decode STORE message.
  *
- * @param {Buffer} buf
- * @returns {{messageId: Buffer, key: Buffer, record: object}}
+ * @param {Uint8Array} buf
+ * @returns {{messageId: Uint8Array, key: Uint8Array, record: object}}
  */
 export function decodeStore(buf) {
   const messageId = buf.subarray(1, 9);
   const key = buf.subarray(9, 9 + NODE_ID_LEN);
-  const len = buf.readUInt32BE(9 + NODE_ID_LEN);
-  const json = buf
-    .subarray(13 + NODE_ID_LEN, 13 + NODE_ID_LEN + len)
-    .toString();
+  const len = viewOf(buf).getUint32(9 + NODE_ID_LEN);
+  const json = toUtf8(buf.subarray(13 + NODE_ID_LEN, 13 + NODE_ID_LEN + len));
   const record = JSON.parse(json);
 
   return { messageId, key, record };
@@ -270,23 +805,23 @@ export function decodeStore(buf) {
 /**
  * Encode FIND_VALUE message.
  *
- * @param {Buffer} messageId
- * @param {Buffer} key
- * @returns {Buffer}
+ * @param {Uint8Array} messageId
+ * @param {Uint8Array} key
+ * @returns {Uint8Array}
  */
 export function encodeFindValue(messageId, key) {
-  const buf = Buffer.alloc(1 + 8 + NODE_ID_LEN);
+  const buf = new Uint8Array(1 + 8 + NODE_ID_LEN);
   buf[0] = MSG_FIND_VALUE;
-  messageId.copy(buf, 1);
-  key.copy(buf, 9);
+  buf.set(messageId, 1);
+  buf.set(key, 9);
   return buf;
 }
 
 /**
  * Decode FIND_VALUE message.
  *
- * @param {Buffer} buf
- * @returns {{messageId: Buffer, key: Buffer}}
+ * @param {Uint8Array} buf
+ * @returns {{messageId: Uint8Array, key: Uint8Array}}
  */
 export function decodeFindValue(buf) {
   if (buf.length < 1 + 8 + NODE_ID_LEN) {
@@ -302,46 +837,46 @@ export function decodeFindValue(buf) {
 /**
  * Encode FIND_VALUE response.
  *
- * @param {Buffer} messageId
+ * @param {Uint8Array} messageId
  * @param {object|null} record
- * @param {Buffer[]} nodes
- * @returns {Buffer}
+ * @param {Uint8Array[]} nodes
+ * @returns {Uint8Array}
  */
 export function encodeFindValueResponse(messageId, record, nodes = []) {
   if (record) {
     const json = JSON.stringify(record);
-    const valueBuf = Buffer.from(json);
-    const buf = Buffer.alloc(1 + 8 + 1 + 4 + valueBuf.length);
+    const valueBuf = toBytes(json);
+    const buf = new Uint8Array(1 + 8 + 1 + 4 + valueBuf.length);
     buf[0] = MSG_FIND_VALUE_RESPONSE;
-    messageId.copy(buf, 1);
+    buf.set(messageId, 1);
     buf[9] = 1;
-    buf.writeUInt32BE(valueBuf.length, 10);
-    valueBuf.copy(buf, 14);
+    viewOf(buf).setUint32(10, valueBuf.length);
+    buf.set(valueBuf, 14);
     return buf;
   }
 
-  const buf = Buffer.alloc(1 + 8 + 1 + 1 + nodes.length * NODE_ID_LEN);
+  const buf = new Uint8Array(1 + 8 + 1 + 1 + nodes.length * NODE_ID_LEN);
   buf[0] = MSG_FIND_VALUE_RESPONSE;
-  messageId.copy(buf, 1);
+  buf.set(messageId, 1);
   buf[9] = 0;
   buf[10] = nodes.length;
-  nodes.forEach((n, i) => n.copy(buf, 11 + i * NODE_ID_LEN));
+  nodes.forEach((n, i) => buf.set(n, 11 + i * NODE_ID_LEN));
   return buf;
 }
 
 /**
  * Decode FIND_VALUE response.
  *
- * @param {Buffer} buf
- * @returns {{messageId: Buffer, record?: object, nodes?: Buffer[]}}
+ * @param {Uint8Array} buf
+ * @returns {{messageId: Uint8Array, record?: object, nodes?: Uint8Array[]}}
  */
 export function decodeFindValueResponse(buf) {
   const messageId = buf.subarray(1, 9);
   const found = buf[9] === 1;
 
   if (found) {
-    const len = buf.readUInt32BE(10);
-    const json = buf.subarray(14, 14 + len).toString();
+    const len = viewOf(buf).getUint32(10);
+    const json = toUtf8(buf.subarray(14, 14 + len));
     const record = JSON.parse(json);
     return { messageId, record };
   }
@@ -358,18 +893,18 @@ export function decodeFindValueResponse(buf) {
 /**
  * Encode STORE_ACK message.
  *
- * @param {Buffer} messageId
- * @returns {Buffer}
+ * @param {Uint8Array} messageId
+ * @returns {Uint8Array}
  */
 export function encodeStoreAck(messageId) {
-  return Buffer.concat([Buffer.from([MSG_STORE_ACK]), messageId]);
+  return concatBytes([Uint8Array.of(MSG_STORE_ACK), messageId]);
 }
 
 /**
  * Decode STORE_ACK message.
  *
- * @param {Buffer} buf
- * @returns {{messageId: Buffer}}
+ * @param {Uint8Array} buf
+ * @returns {{messageId: Uint8Array}}
  */
 export function decodeStoreAck(buf) {
   return {
@@ -380,23 +915,23 @@ export function decodeStoreAck(buf) {
 /**
  * Encode HAS_VALUE message.
  *
- * @param {Buffer} messageId
- * @param {Buffer} key
- * @returns {Buffer}
+ * @param {Uint8Array} messageId
+ * @param {Uint8Array} key
+ * @returns {Uint8Array}
  */
 export function encodeHasValue(messageId, key) {
-  const buf = Buffer.alloc(1 + 8 + NODE_ID_LEN);
+  const buf = new Uint8Array(1 + 8 + NODE_ID_LEN);
   buf[0] = MSG_HAS_VALUE;
-  messageId.copy(buf, 1);
-  key.copy(buf, 9);
+  buf.set(messageId, 1);
+  buf.set(key, 9);
   return buf;
 }
 
 /**
  * Decode HAS_VALUE message.
  *
- * @param {Buffer} buf
- * @returns {{messageId: Buffer, key: Buffer}}
+ * @param {Uint8Array} buf
+ * @returns {{messageId: Uint8Array, key: Uint8Array}}
  */
 export function decodeHasValue(buf) {
   return {
@@ -408,14 +943,14 @@ export function decodeHasValue(buf) {
 /**
  * Encode HAS_VALUE response.
  *
- * @param {Buffer} messageId
+ * @param {Uint8Array} messageId
  * @param {boolean} has
- * @returns {Buffer}
+ * @returns {Uint8Array}
  */
 export function encodeHasValueResponse(messageId, has) {
-  const buf = Buffer.alloc(1 + 8 + 1);
+  const buf = new Uint8Array(1 + 8 + 1);
   buf[0] = MSG_HAS_VALUE_RESPONSE;
-  messageId.copy(buf, 1);
+  buf.set(messageId, 1);
   buf[9] = has ? 1 : 0;
   return buf;
 }
@@ -423,8 +958,8 @@ export function encodeHasValueResponse(messageId, has) {
 /**
  * Decode HAS_VALUE response.
  *
- * @param {Buffer} buf
- * @returns {{messageId: Buffer, has: boolean}}
+ * @param {Uint8Array} buf
+ * @returns {{messageId: Uint8Array, has: boolean}}
  */
 export function decodeHasValueResponse(buf) {
   return {
@@ -0,0 +1,322 @@
+import { Transport } from './transport.js';
+import { loadWebRTC } from './platform.js';
+import {
+  MSG_SIGNAL_ANSWER,
+  MSG_SIGNAL_ICE,
+  MSG_SIGNAL_OFFER,
+} from './constants.js';
+
+/**
+ * ICE servers used when none are configured.
+ */
+export const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+const ICE_TRANSPORT_POLICIES = ['all', 'relay'];
+
+/**
+ * Buffered bytes below which a data channel emits `drain`.
+ */
+export const BUFFERED_AMOUNT_LOW = 256 * 1024;
+
+/**
+ * Read ICE configuration from environment variables.
+ *
+ * - `ICE_SERVERS`: a JSON array of RTCIceServer objects, or a
+ *   comma-separated list of `stun:` / `turn:` / `turns:` URLs. An empty
+ *   value or `none` disables ICE servers (host candidates only).
+ * - `TURN_USERNAME`, `TURN_CREDENTIAL`: credentials added to every TURN
+ *   URL given in the comma-separated form.
+ * - `ICE_TRANSPORT_POLICY`: `all` (default) or `relay`.
+ *
+ * Unset variables are left undefined so the transport defaults apply.
+ *
+ * @param {Record<string, string|undefined>} [env=process.env]
+ * @returns {{iceServers?: RTCIceServer[], iceTransportPolicy?: string}}
+ */
+export function iceConfigFromEnv(env = process.env) {
+  const config = {};
+  const servers = env.ICE_SERVERS?.trim();
+
+  if (servers === '' || 'none' === servers) {
+    config.iceServers = [];
+  } else if (servers?.startsWith('[')) {
+    config.iceServers = JSON.parse(servers);
+  } else if (servers) {
+    config.iceServers = servers
+      .split(',')
+      .map((url) => url.trim())
+      .filter(Boolean)
+      .map((urls) =>
+        /^turns?:/.test(urls) && env.TURN_USERNAME
+          ? {
+              urls,
+              username: env.TURN_USERNAME,
+              credential: env.TURN_CREDENTIAL,
+            }
+          : { urls }
+      );
+  }
+
+  if (env.ICE_TRANSPORT_POLICY) {
+    config.iceTransportPolicy = env.ICE_TRANSPORT_POLICY;
+  }
+
+  return config;
+}
+
+/**
+ * Transport backed by WebRTC peer connections and data channels.
+ *
+ * Uses the browser's RTCPeerConnection, or in Node the native `wrtc`
+ * module, which is only loaded when the first peer connection is created
+ * so importing this file does not require it.
+ */
+export class WebRTCTransport extends Transport {
+  /**
+   * @param {object} [opts]
+   * @param {RTCIceServer[]} [opts.iceServers] - STUN / TURN servers, with
+   *   credentials for TURN. An empty list limits the transport to host
+   *   candidates, for local clusters.
+   * @param {'all'|'relay'} [opts.iceTransportPolicy='all'] - `relay` only
+   *   uses TURN candidates.
+   */
+  constructor({
+    iceServers = DEFAULT_ICE_SERVERS,
+    iceTransportPolicy = 'all',
+  } = {}) {
+    super();
+
+    if (!ICE_TRANSPORT_POLICIES.includes(iceTransportPolicy)) {
+      throw new Error(
+        `iceTransportPolicy must be one of: ${ICE_TRANSPORT_POLICIES.join(', ')}`
+      );
+    }
+    if ('relay' === iceTransportPolicy && 0 === iceServers.length) {
+      throw new Error('iceTransportPolicy "relay" requires a TURN server');
+    }
+
+    this.iceServers = iceServers;
+    this.iceTransportPolicy = iceTransportPolicy;
+
+    /**
+     * Live peer connections.
+     *
+     * @type {Map<string, {pc: RTCPeerConnection, channel: RTCDataChannel|null, pendingIce: any[]}>}
+     */
+    this.connections = new Map();
+  }
+
+  /**
+   * Create a peer connection and data channel, and emit an SDP offer.
+   *
+   * @param {string} peerIdHex
+   */
+  async dial(peerIdHex) {
+    const pc = this._createPeerConnection(peerIdHex);
+    const channel = pc.createDataChannel('dht');
+
+    this.connections.set(peerIdHex, { pc, channel: null, pendingIce: [] });
+    this._setupChannel(channel, peerIdHex);
+
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
+
+    this.emit('signal', peerIdHex, MSG_SIGNAL_OFFER, offer);
+  }
+
+  /**
+   * Answer an incoming SDP offer.
+   *
+   * Sets the remote description, applies any queued ICE candidates, and
+   * emits an SDP answer.
+   *
+   * @param {string} peerIdHex
+   * @param {any} sdp
+   */
+  async accept(peerIdHex, sdp) {
+    const pc = this._createPeerConnection(peerIdHex);
+    this.connections.set(peerIdHex, { pc, channel: null, pendingIce: [] });
+
+    await pc.setRemoteDescription(sdp);
+    await this._flushIce(peerIdHex);
+
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+
+    this.emit('signal', peerIdHex, MSG_SIGNAL_ANSWER, answer);
+  }
+
+  /**
+   * Apply an incoming SDP answer to an existing connection.
+   *
+   * @param {string} peerIdHex
+   * @param {any} sdp
+   */
+  async handleAnswer(peerIdHex, sdp) {
+    const conn = this.connections.get(peerIdHex);
+    if (!conn) return;
+
+    if (!conn.pc.remoteDescription) {
+      await conn.pc.setRemoteDescription(sdp);
+      await this._flushIce(peerIdHex);
+    }
+  }
+
+  /**
+   * Add an ICE candidate to a peer connection.
+   *
+   * Candidates received before the remote description is set are queued.
+   *
+   * @param {string} peerIdHex
+   * @param {any} candidate
+   */
+  async addIceCandidate(peerIdHex, candidate) {
+    const conn = this.connections.get(peerIdHex);
+    if (!conn) return;
+
+    if (conn.pc.connectionState === 'closed') return;
+
+    if (!conn.pc.remoteDescription) {
+      conn.pendingIce.push(candidate);
+      return;
+    }
+
+    try {
+      await conn.pc.addIceCandidate(candidate);
+    } catch (err) {
+      console.error('addIceCandidate failed (ignored)');
+      console.error(err);
+    }
+  }
+
+  send(peerIdHex, buf) {
+    const conn = this.connections.get(peerIdHex);
+    if ('open' !== conn?.channel?.readyState) return false;
+
+    conn.channel.send(buf);
+    return true;
+  }
+
+  close(peerIdHex) {
+    const conn = this.connections.get(peerIdHex);
+    if (!conn) return;
+
+    this.connections.delete(peerIdHex);
+
+    try {
+      conn.channel?.close();
+    } catch {}
+    try {
+      conn.pc?.close();
+    } catch {}
+  }
+
+  has(peerIdHex) {
+    return this.connections.has(peerIdHex);
+  }
+
+  bufferedAmount(peerIdHex) {
+    return this.connections.get(peerIdHex)?.channel?.bufferedAmount ?? 0;
+  }
+
+  isOpen(peerIdHex) {
+    return 'open' === this.connections.get(peerIdHex)?.channel?.readyState;
+  }
+
+  peerIds() {
+    return [...this.connections.keys()];
+  }
+
+  /**
+   * Create (or reuse) a WebRTC peer connection for a peer.
+   *
+   * This sets up ICE handling, connection state transitions, and data-channel
+   * negotiation callbacks.
+   *
+   * @private
+   * @param {string} peerIdHex
+   * @returns {RTCPeerConnection}
+   */
+  _createPeerConnection(peerIdHex) {
+    if (this.connections.has(peerIdHex)) {
+      return this.connections.get(peerIdHex).pc;
+    }
+
+    const { RTCPeerConnection } = loadWebRTC();
+    const pc = new RTCPeerConnection({
+      iceServers: this.iceServers,
+      iceTransportPolicy: this.iceTransportPolicy,
+    });
+
+    pc.onicecandidate = (e) => {
+      if (!e.candidate) return;
+      if (!this.connections.has(peerIdHex)) return;
+      this.emit('signal', peerIdHex, MSG_SIGNAL_ICE, e.candidate);
+    };
+
+    pc.onconnectionstatechange = () => {
+      if (this.connections.get(peerIdHex)?.pc !== pc) return;
+
+      if ('connected' === pc.connectionState) {
+        this.emit('connected', peerIdHex);
+      }
+      if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
+        this.close(peerIdHex);
+        this.emit('closed', peerIdHex);
+      }
+    };
+
+    pc.ondatachannel = (e) => {
+      this._setupChannel(e.channel, peerIdHex);
+    };
+
+    return pc;
+  }
+
+  /**
+   * Configure a WebRTC data channel for a peer.
+   *
+   * @private
+   * @param {RTCDataChannel} channel
+   * @param {string} peerIdHex
+   */
+  _setupChannel(channel, peerIdHex) {
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW;
+
+    const conn = this.connections.get(peerIdHex);
+    if (conn) {
+      conn.channel = channel;
+    }
+
+    channel.onopen = () => {
+      this.emit('open', peerIdHex);
+    };
+
+    channel.onmessage = (e) => {
+      this.emit('message', peerIdHex, new Uint8Array(e.data));
+    };
+
+    channel.onbufferedamountlow = () => {
+      this.emit('drain', peerIdHex);
+    };
+  }
+
+  /**
+   * Apply ICE candidates queued before the remote description was set.
+   *
+   * @private
+   * @param {string} peerIdHex
+   */
+  async _flushIce(peerIdHex) {
+    const conn = this.connections.get(peerIdHex);
+    if (!conn) return;
+
+    for (const c of conn.pendingIce) {
+      try {
+        await conn.pc.addIceCandidate(c);
+      } catch {}
+    }
+    conn.pendingIce.length = 0;
+  }
+}
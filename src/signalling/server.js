@@ -0,0 +1,574 @@
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import {
+  bucketIndex,
+  xorDistance,
+  compareDistance,
+  nodeIdFromPublicKey,
+  registerPayload,
+  verify,
+} from '../peer/utils.js';
+import { fromBase64, fromHex, toHex } from '../peer/bytes.js';
+import { randomBytes } from '../peer/platform.js';
+import { MAX_NETWORK_ID_LEN, NONCE_LEN } from '../peer/constants.js';
+
+const MAX_PAYLOAD = 64 * 1024; // bytes per WebSocket frame
+const RATE_LIMIT = 20; // messages per second, sustained
+const RATE_BURST = 100; // messages allowed at once
+const KEEPALIVE_INTERVAL = 30_000; // ping every socket; terminate if silent
+const CLOSEST_PEERS = 3; // XOR-closest peers in a `peers` reply
+const RANDOM_PEERS = 3; // randomly sampled peers added to a `peers` reply
+
+/**
+ * Whether a value is a hex string of `bytes` bytes.
+ *
+ * @param {any} value
+ * @param {number} bytes
+ * @returns {boolean}
+ */
+function isHex(value, bytes) {
+  return (
+    'string' === typeof value &&
+    value.length === bytes * 2 &&
+    /^[0-9a-f]*$/.test(value)
+  );
+}
+
+/**
+ * Whether a value is a non-null object (not an array).
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return 'object' === typeof value && null !== value && !Array.isArray(value);
+}
+
+/**
+ * Check the shape of a message from a peer.
+ *
+ * @param {any} msg
+ * @returns {string|null} What is wrong with it, or null if it is valid.
+ */
+function validateMessage(msg) {
+  if (!isObject(msg) || 'string' !== typeof msg.type) {
+    return 'message must be an object with a type';
+  }
+
+  switch (msg.type) {
+    case 'register':
+      if (!isHex(msg.peerId, 32)) return 'peerId must be 64 hex characters';
+      if (!isHex(msg.publicKey, 32)) {
+        return 'publicKey must be 64 hex characters';
+      }
+      if ('string' !== typeof msg.signature || msg.signature.length > 128) {
+        return 'signature must be a base64 string';
+      }
+      if (
+        undefined !== msg.network &&
+        ('string' !== typeof msg.network ||
+          new TextEncoder().encode(msg.network).length > MAX_NETWORK_ID_LEN)
+      ) {
+        return `network must be a string of up to ${MAX_NETWORK_ID_LEN} bytes`;
+      }
+      return null;
+
+    case 'offer':
+    case 'answer':
+    case 'ice':
+      if (!isHex(msg.from, 32)) return 'from must be 64 hex characters';
+      if (!isHex(msg.to, 32)) return 'to must be 64 hex characters';
+      if ('ice' === msg.type ? !isObject(msg.candidate) : !isObject(msg.sdp)) {
+        return 'ice' === msg.type
+          ? 'candidate must be an object'
+          : 'sdp must be an object';
+      }
+      return null;
+
+    case 'get-peers':
+      return null;
+
+    default:
+      return `unknown message type "${msg.type}"`;
+  }
+}
+
+/**
+ * Choose the peers returned to `peerIdHex` for bootstrapping.
+ *
+ * The `closest` XOR-closest candidates come first, so the joiner finds its
+ * neighbourhood. The others are grouped by the k-bucket they fall in from
+ * the joiner's point of view, and `random` of them are sampled one bucket
+ * at a time, in random bucket order, so the joiner also learns about far
+ * parts of the keyspace and new nodes do not all connect to the same few.
+ *
+ * @param {string} peerIdHex
+ * @param {string[]} candidates - Other registered peers.
+ * @param {number} closest
+ * @param {number} random
+ * @returns {string[]}
+ */
+function selectPeers(peerIdHex, candidates, closest, random) {
+  const self = fromHex(peerIdHex);
+
+  const byDistance = candidates
+    .map((id) => {
+      const nodeId = fromHex(id);
+      return { id, nodeId, distance: xorDistance(self, nodeId) };
+    })
+    .sort((a, b) => compareDistance(a.distance, b.distance));
+
+  const buckets = new Map();
+  for (const { id, nodeId } of byDistance.slice(closest)) {
+    const i = bucketIndex(self, nodeId);
+    if (!buckets.has(i)) buckets.set(i, []);
+    buckets.get(i).push(id);
+  }
+
+  const groups = shuffle([...buckets.values()]);
+  const sampled = [];
+  while (sampled.length < random && groups.length) {
+    for (let g = 0; g < groups.length && sampled.length < random; ) {
+      const group = groups[g];
+      sampled.push(group.splice(randomIndex(group.length), 1)[0]);
+
+      if (0 === group.length) groups.splice(g, 1);
+      else g++;
+    }
+  }
+
+  return [...byDistance.slice(0, closest).map((p) => p.id), ...sampled];
+}
+
+/**
+ * @param {number} length
+ * @returns {number} Uniform random index below `length`.
+ */
+function randomIndex(length) {
+  return Math.floor(Math.random() * length);
+}
+
+/**
+ * Shuffle an array in place (Fisher–Yates).
+ *
+ * @template T
+ * @param {T[]} items
+ * @returns {T[]}
+ */
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomIndex(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Check a valid `register` message against the connection's challenge.
+ *
+ * The public key must hash to the claimed peer ID and the signature must
+ * cover the challenge nonce and that ID.
+ *
+ * @param {object} msg
+ * @param {Uint8Array} nonce
+ * @returns {Promise<string|null>} Why the registration is invalid, or null.
+ */
+async function checkRegistration(msg, nonce) {
+  const publicKey = fromHex(msg.publicKey);
+  if (toHex(await nodeIdFromPublicKey(publicKey)) !== msg.peerId) {
+    return 'publicKey does not match peerId';
+  }
+
+  let signature;
+  try {
+    signature = fromBase64(msg.signature);
+  } catch {
+    return 'invalid signature';
+  }
+
+  const payload = registerPayload(nonce, fromHex(msg.peerId));
+  if (!(await verify(publicKey, payload, signature))) {
+    return 'invalid signature';
+  }
+  return null;
+}
+
+/**
+ * Create a signalling server for WebRTC peer discovery and message relay.
+ * - Accept WebSocket connections from peers
+ * - Register peers by ID, once they prove they own the ID's key
+ * - Keep a separate registry per network ID, so peers are only offered to
+ *   and relayed to peers on the same network
+ * - Relay signalling messages (offer/answer/ICE)
+ * - Return bootstrap peers: the XOR-closest ones plus a random sample
+ *   spread over the k-buckets (see selectPeers)
+ * - Answer `GET /healthz` and `GET /stats` over HTTP on the same port
+ *
+ * Every message is validated before it is acted on. Frames larger than
+ * `maxPayload` close the connection, messages over the per-connection rate
+ * limit are dropped, and sockets that stop answering pings are terminated
+ * and unregistered.
+ *
+ * With `server`, the WebSocket endpoint and the HTTP routes are added to an
+ * existing http.Server, which the caller keeps listening and closing. The
+ * signalling server then owns `/healthz` and `/stats`: it answers them
+ * before the server's own request handlers run, which must leave those
+ * paths alone. Requests for other paths are left to the server's handlers.
+ * Otherwise a new server listens on `port` and `host`.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.port=3000]
+ * @param {string} [opts.host='0.0.0.0']
+ * @param {http.Server} [opts.server] - Existing server to attach to.
+ * @param {number} [opts.maxPayload] - Largest accepted frame, in bytes.
+ * @param {number} [opts.rateLimit] - Messages per second per connection.
+ * @param {number} [opts.rateBurst] - Messages a connection may send at once.
+ * @param {number} [opts.keepaliveInterval] - Milliseconds between pings.
+ * @param {number} [opts.closestPeers=3] - XOR-closest peers per `peers`
+ *   reply.
+ * @param {number} [opts.randomPeers=3] - Randomly sampled peers per `peers`
+ *   reply, spread over distinct buckets.
+ * @returns {{httpServer: http.Server, wss: WebSocketServer, networks: Map<string, Map<string, import('ws').WebSocket>>, stats: () => object, close: () => Promise<void>}}
+ */
+export function createSignallingServer({
+  port = 3000,
+  host = '0.0.0.0',
+  server,
+  maxPayload = MAX_PAYLOAD,
+  rateLimit = RATE_LIMIT,
+  rateBurst = RATE_BURST,
+  keepaliveInterval = KEEPALIVE_INTERVAL,
+  closestPeers = CLOSEST_PEERS,
+  randomPeers = RANDOM_PEERS,
+} = {}) {
+  for (const [name, count] of Object.entries({ closestPeers, randomPeers })) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`${name} must be a whole number, got ${count}`);
+    }
+  }
+
+  const httpServer = server ?? http.createServer();
+  const wss = new WebSocketServer({ server: httpServer, maxPayload });
+
+  /**
+   * Registered peers of each network.
+   *
+   * Key:   network ID ('' for the default network)
+   * Value: Map of peerId (hex string) to the peer's WebSocket connection
+   *
+   * @type {Map<string, Map<string, import('ws').WebSocket>>}
+   */
+  const networks = new Map();
+
+  const counters = {
+    startedAt: Date.now(),
+    connections: { opened: 0, closed: 0 },
+    registrations: 0,
+    relayed: { offer: 0, answer: 0, ice: 0 },
+    errors: {},
+  };
+
+  /**
+   * Current counters, as served on `/stats`.
+   *
+   * @returns {object}
+   */
+  function stats() {
+    return {
+      uptime: Math.round((Date.now() - counters.startedAt) / 1000),
+      peers: [...networks.values()].reduce((n, peers) => n + peers.size, 0),
+      networks: Object.fromEntries(
+        [...networks].map(([network, peers]) => [network, peers.size])
+      ),
+      connections: {
+        open: wss.clients.size,
+        ...counters.connections,
+      },
+      registrations: counters.registrations,
+      relayed: { ...counters.relayed },
+      errors: { ...counters.errors },
+    };
+  }
+
+  /**
+   * Send an error reply to a peer, counting it by code.
+   *
+   * @param {import('ws').WebSocket} ws
+   * @param {string} code
+   * @param {string} message
+   */
+  function sendError(ws, code, message) {
+    counters.errors[code] = (counters.errors[code] ?? 0) + 1;
+    ws.send(JSON.stringify({ type: 'error', code, message }));
+  }
+
+  /**
+   * Serve the health and stats routes.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  function handleRequest(req, res) {
+    if (res.headersSent || res.writableEnded) return;
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if ('/healthz' === pathname) {
+      sendJson(res, 200, { status: 'ok' });
+    } else if ('/stats' === pathname) {
+      sendJson(res, 200, stats());
+    } else if (!server) {
+      sendJson(res, 404, { error: 'not found' });
+    }
+  }
+
+  // Ahead of an attached server's own handlers, so they cannot have
+  // answered these routes already.
+  httpServer.prependListener('request', handleRequest);
+
+  /**
+   * Handle new WebSocket connections.
+   *
+   * Each connection represents a single peer. It is sent a `challenge`
+   * nonce and must sign it in its `register` message before it can relay
+   * signals or ask for peers.
+   */
+  wss.on('connection', function connection(ws) {
+    counters.connections.opened++;
+
+    let peerId = null;
+    let network = null;
+    let registering = false;
+
+    // Token bucket for the rate limit, refilled on each message.
+    let tokens = rateBurst;
+    let refilled = Date.now();
+    let limited = false;
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    /**
+     * Take a token for one message.
+     *
+     * @returns {boolean} False if the connection is over its rate limit.
+     */
+    function takeToken() {
+      const now = Date.now();
+      tokens = Math.min(
+        rateBurst,
+        tokens + ((now - refilled) / 1000) * rateLimit
+      );
+      refilled = now;
+
+      if (tokens < 1) return false;
+      tokens--;
+      return true;
+    }
+
+    const nonce = randomBytes(NONCE_LEN);
+    ws.send(JSON.stringify({ type: 'challenge', nonce: toHex(nonce) }));
+
+    /**
+     * Register the connection under a peer ID, refusing IDs that are
+     * registered on another live connection.
+     *
+     * @param {object} msg
+     */
+    async function register(msg) {
+      if (peerId || registering) {
+        sendError(ws, 'already-registered', 'Connection is already registered');
+        return;
+      }
+
+      registering = true;
+      const error = await checkRegistration(msg, nonce);
+      registering = false;
+      if (ws.readyState !== ws.OPEN) return;
+
+      if (error) {
+        sendError(ws, 'invalid-registration', error);
+        ws.close(1008, 'invalid registration');
+        return;
+      }
+
+      const registry = networks.get(msg.network ?? '') ?? new Map();
+      const live = registry.get(msg.peerId);
+      if (live && live.readyState === live.OPEN) {
+        sendError(
+          ws,
+          'duplicate-peer',
+          'peerId is registered on another connection'
+        );
+        ws.close(1008, 'duplicate peer');
+        return;
+      }
+
+      peerId = msg.peerId;
+      network = msg.network ?? '';
+      networks.set(network, registry);
+      registry.set(peerId, ws);
+      counters.registrations++;
+      ws.send(JSON.stringify({ type: 'registered', peerId }));
+      console.log(`Currently connected peers on network "${network}":`, [
+        ...registry.keys(),
+      ]);
+    }
+
+    /**
+     * Handle incoming messages from a peer.
+     *
+     * Expected message format:
+     * {
+     *   type: 'register' | 'offer' | 'answer' | 'ice' | 'get-peers',
+     *   peerId?: string,
+     *   publicKey?: string,
+     *   signature?: string,
+     *   from?: string,
+     *   to?: string,
+     *   ...payload
+     * }
+     */
+    ws.on('message', function incoming(message) {
+      if (!takeToken()) {
+        // Reply once per burst rather than to every dropped message.
+        if (!limited) sendError(ws, 'rate-limited', 'Too many messages');
+        limited = true;
+        return;
+      }
+      limited = false;
+
+      let msg;
+      try {
+        msg = JSON.parse(message);
+      } catch {
+        sendError(ws, 'malformed', 'Message is not valid JSON');
+        return;
+      }
+
+      const invalid = validateMessage(msg);
+      if (invalid) {
+        sendError(ws, 'invalid-message', invalid);
+        return;
+      }
+
+      if ('register' !== msg.type && !peerId) {
+        sendError(ws, 'not-registered', 'Register before sending messages');
+        return;
+      }
+
+      switch (msg.type) {
+        case 'register':
+          register(msg).catch((err) => {
+            console.warn('Registration failed:', err.message);
+            registering = false;
+            if (ws.readyState !== ws.OPEN) return;
+
+            sendError(ws, 'registration-failed', 'Registration failed');
+            ws.close(1011, 'registration failed');
+          });
+          break;
+
+        case 'offer':
+        case 'answer':
+        case 'ice':
+          if (msg.from !== peerId) {
+            sendError(ws, 'spoofed-sender', 'from does not match registration');
+            break;
+          }
+
+          const targetPeer = networks.get(network).get(msg.to);
+          if (targetPeer) {
+            targetPeer.send(JSON.stringify(msg));
+            counters.relayed[msg.type]++;
+          }
+          break;
+
+        case 'get-peers':
+          const peerIds = Array.from(networks.get(network).keys()).filter(
+            (id) => id !== peerId
+          );
+
+          ws.send(
+            JSON.stringify({
+              type: 'peers',
+              peers: selectPeers(peerId, peerIds, closestPeers, randomPeers),
+            })
+          );
+          break;
+      }
+    });
+
+    /**
+     * Cleanup when a peer disconnects.
+     * Removes the peer from the registry.
+     */
+    ws.on('close', () => {
+      counters.connections.closed++;
+      const peers = networks.get(network);
+      if (!peerId || peers?.get(peerId) !== ws) return;
+
+      peers.delete(peerId);
+      if (0 === peers.size) networks.delete(network);
+    });
+
+    ws.on('error', (err) => {
+      console.warn('Signalling connection error:', err.message);
+    });
+  });
+
+  /**
+   * Ping every socket periodically and terminate the ones that did not
+   * answer the previous ping; their `close` handler unregisters them.
+   */
+  const keepalive = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, keepaliveInterval);
+
+  if (!server) httpServer.listen(port, host);
+
+  return {
+    httpServer,
+    wss,
+    networks,
+    stats,
+
+    /**
+     * Disconnect every peer and stop serving. An attached server is left
+     * listening, without the signalling routes.
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+      clearInterval(keepalive);
+      httpServer.off('request', handleRequest);
+      for (const ws of wss.clients) ws.terminate();
+
+      return new Promise((resolve) => {
+        wss.close(() => {
+          if (server) resolve();
+          else httpServer.close(() => resolve());
+        });
+      });
+    },
+  };
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,95 @@
+import { Simulator } from './simulator.js';
+import { SCENARIOS, ScenarioRunner } from './scenarios.js';
+
+/**
+ * Command-line entrypoint for the DHT simulator.
+ *
+ * Boots a virtual cluster, writes a set of keys, lets the maintenance
+ * timers run for a while, reads the keys back from random nodes and
+ * prints the convergence report.
+ *
+ * With `--scenario`, runs one of the built-in churn / crash / partition
+ * scenarios instead and exits non-zero if a durability check fails.
+ *
+ * Usage:
+ *   npm run sim -- [--nodes 50] [--seed 1] [--keys 20] [--minutes 60]
+ *                  [--latency 50] [--jitter 0] [--loss 0] [--bandwidth <B/s>]
+ *                  [--k 20] [--alpha 3]
+ *                  [--scenario steady|churn|mass-crash|partition]
+ */
+
+const args = process.argv.slice(2);
+
+const opts = {
+  nodes: 50,
+  seed: 1,
+  keys: 20,
+  minutes: 60,
+  latency: 50,
+  jitter: 0,
+  loss: 0,
+  bandwidth: Infinity,
+  k: 20,
+  alpha: 3,
+};
+
+let scenario = null;
+
+for (let i = 0; i < args.length; i++) {
+  const name = args[i].replace(/^--/, '');
+  if ('scenario' === name && args[i + 1]) {
+    scenario = args[++i];
+  } else if (name in opts && args[i + 1] !== undefined) {
+    opts[name] = Number(args[++i]);
+  }
+}
+
+if (scenario && !SCENARIOS[scenario]) {
+  console.error(
+    `❌ --scenario must be one of: ${Object.keys(SCENARIOS).join(', ')}`
+  );
+  process.exit(1);
+}
+
+for (const [name, value] of Object.entries(opts)) {
+  if (Number.isNaN(value) || value < 0) {
+    console.error(`❌ --${name} must be a non-negative number`);
+    process.exit(1);
+  }
+}
+
+const sim = new Simulator({
+  seed: opts.seed,
+  link: {
+    latency: opts.latency,
+    jitter: opts.jitter,
+    loss: opts.loss,
+    bandwidth: opts.bandwidth,
+  },
+  node: { k: opts.k, alpha: opts.alpha },
+});
+
+if (scenario) {
+  console.log(`Running scenario "${scenario}" (seed ${opts.seed})...`);
+
+  const runner = new ScenarioRunner(sim);
+  const report = await runner.run(SCENARIOS[scenario](opts));
+
+  console.dir(report, { depth: null });
+  process.exit(report.passed ? 0 : 1);
+}
+
+console.log(`Booting ${opts.nodes} nodes (seed ${opts.seed})...`);
+await sim.boot(opts.nodes);
+
+for (let i = 0; i < opts.keys; i++) {
+  await sim.store(`key-${i}`, `value-${i}`);
+}
+
+await sim.run(opts.minutes * 60 * 1000);
+
+for (let i = 0; i < opts.keys; i++) {
+  await sim.find(`key-${i}`, `value-${i}`);
+}
+
+console.dir(sim.report(), { depth: null });
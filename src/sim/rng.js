@@ -0,0 +1,44 @@
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ *
+ * @param {number} seed
+ * @returns {() => number} Uniform random numbers in [0, 1).
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw random bytes from a seeded generator.
+ *
+ * @param {() => number} rng
+ * @param {number} length
+ * @returns {Buffer}
+ */
+export function randomBytes(rng, length) {
+  const buf = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    buf[i] = Math.floor(rng() * 256);
+  }
+  return buf;
+}
+
+/**
+ * Pick a random element of an array.
+ *
+ * @template T
+ * @param {() => number} rng
+ * @param {T[]} items
+ * @returns {T|undefined}
+ */
+export function pick(rng, items) {
+  return items[Math.floor(rng() * items.length)];
+}
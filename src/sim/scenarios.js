@@ -0,0 +1,288 @@
+import { fromBase64, toUtf8 } from '../peer/bytes.js';
+import { pick } from './rng.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Built-in scenarios, as functions of the CLI options returning steps.
+ *
+ * @type {Record<string, (opts: {nodes: number, keys: number}) => object[]>}
+ */
+export const SCENARIOS = {
+  steady: ({ nodes, keys }) => [
+    { action: 'boot', nodes },
+    { action: 'write', keys },
+    { action: 'run', minutes: 60 },
+    { action: 'check', label: 'after 1h' },
+  ],
+
+  churn: ({ nodes, keys }) => [
+    { action: 'boot', nodes },
+    { action: 'write', keys },
+    { action: 'churn', minutes: 60, joins: 1, leaves: 1, crashRatio: 0.5 },
+    { action: 'check', label: 'after 1h of churn' },
+    { action: 'update', keys: Math.ceil(keys / 4) },
+    { action: 'churn', minutes: 30, joins: 1, leaves: 1, crashRatio: 0.5 },
+    { action: 'check', label: 'after updates under churn' },
+  ],
+
+  'mass-crash': ({ nodes, keys }) => [
+    { action: 'boot', nodes },
+    { action: 'write', keys },
+    { action: 'run', minutes: 10 },
+    { action: 'crash', fraction: 0.3 },
+    {
+      action: 'check',
+      label: 'right after crash',
+      maxLost: Infinity,
+      maxUnreachable: Infinity,
+    },
+    { action: 'run', minutes: 30 },
+    { action: 'check', label: '30m after crash' },
+  ],
+
+  partition: ({ nodes, keys }) => [
+    { action: 'boot', nodes },
+    { action: 'write', keys },
+    { action: 'run', minutes: 10 },
+    { action: 'partition', fraction: 0.5 },
+    { action: 'run', minutes: 10 },
+    { action: 'update', keys: Math.ceil(keys / 2) },
+    { action: 'run', minutes: 20 },
+    { action: 'heal' },
+    { action: 'run', minutes: 30 },
+    { action: 'check', label: '30m after heal' },
+  ],
+};
+
+/**
+ * Runs scripted scenarios against a Simulator and checks the durability of
+ * keys written through `storeValue`.
+ *
+ * Failures are injected through the network and node timers only, so
+ * recovery is left to the nodes' own maintenance: replica repair, liveness
+ * eviction and replacement promotion all run on the virtual clock.
+ */
+export class ScenarioRunner {
+  /**
+   * @param {import('./simulator.js').Simulator} sim
+   */
+  constructor(sim) {
+    this.sim = sim;
+
+    /**
+     * Latest successfully written value of each key.
+     *
+     * @type {Map<string, {value: string, version: number}>}
+     */
+    this.written = new Map();
+
+    /**
+     * Version of every value a write was attempted with. A write that
+     * missed its quorum may still have reached some replicas.
+     *
+     * @type {Map<string, number>}
+     */
+    this.versions = new Map();
+
+    this.failedWrites = [];
+    this.checks = [];
+  }
+
+  /**
+   * Execute steps in order.
+   *
+   * @param {object[]} steps
+   * @returns {Promise<object>} The run report.
+   */
+  async run(steps) {
+    const { sim } = this;
+
+    for (const step of steps) {
+      switch (step.action) {
+        case 'boot':
+          await sim.boot(step.nodes);
+          break;
+
+        case 'join':
+          for (let i = 0; i < step.nodes; i++) await sim.addNode();
+          break;
+
+        case 'run':
+          await sim.run(step.minutes * MINUTE);
+          break;
+
+        case 'write':
+          for (let i = 0; i < step.keys; i++) await this._write(`key-${i}`);
+          break;
+
+        case 'update': {
+          const keys = sim.shuffle([...this.written.keys()]);
+          for (const key of keys.slice(0, step.keys)) await this._write(key);
+          break;
+        }
+
+        case 'crash': {
+          const count = Math.round(sim.nodes.length * step.fraction);
+          for (const node of sim.shuffle(sim.nodes).slice(0, count)) {
+            sim.crash(node);
+          }
+          break;
+        }
+
+        case 'churn':
+          await this._churn(step);
+          break;
+
+        case 'partition':
+          sim.partition(step.fraction);
+          break;
+
+        case 'heal':
+          sim.heal();
+          break;
+
+        case 'check':
+          this.checks.push(
+            await this._check(
+              step.label ?? 'check',
+              step.maxLost ?? 0,
+              step.maxStale ?? 0,
+              step.maxUnreachable ?? 0
+            )
+          );
+          break;
+
+        default:
+          throw new Error(`Unknown scenario action: ${step.action}`);
+      }
+    }
+
+    return this.report();
+  }
+
+  /**
+   * Whether every check passed.
+   *
+   * @returns {boolean}
+   */
+  passed() {
+    return this.checks.every((c) => c.passed);
+  }
+
+  /**
+   * @returns {object}
+   */
+  report() {
+    return {
+      ...this.sim.report(),
+      failedWrites: this.failedWrites,
+      checks: this.checks,
+      passed: this.passed(),
+    };
+  }
+
+  /**
+   * Every virtual minute, remove `leaves` random nodes (crashing a
+   * `crashRatio` share of them, the rest leave cleanly) and add `joins`
+   * new ones.
+   *
+   * @private
+   * @param {{minutes: number, joins?: number, leaves?: number, crashRatio?: number}} step
+   */
+  async _churn({ minutes, joins = 1, leaves = 1, crashRatio = 0.5 }) {
+    const { sim } = this;
+
+    for (let m = 0; m < minutes; m++) {
+      for (let i = 0; i < leaves && sim.nodes.length > 1; i++) {
+        const node = pick(sim.random, sim.nodes);
+        if (sim.random() < crashRatio) sim.crash(node);
+        else await sim.leave(node);
+      }
+
+      for (let i = 0; i < joins; i++) {
+        await sim.addNode();
+      }
+
+      await sim.run(MINUTE);
+    }
+  }
+
+  /**
+   * Write the next version of a key from a random node.
+   *
+   * @private
+   * @param {string} key
+   */
+  async _write(key) {
+    const version = (this.written.get(key)?.version ?? 0) + 1;
+    const value = `${key}@v${version}`;
+    this.versions.set(value, version);
+
+    if (await this.sim.store(key, value)) {
+      this.written.set(key, { value, version });
+    } else {
+      this.failedWrites.push(value);
+    }
+  }
+
+  /**
+   * Classify every written key.
+   *
+   * - `lost`: no live node holds any version, and a lookup finds nothing
+   * - `stale`: a lookup returns a version older than the last successful
+   *   write, or only older versions are still held. Newer versions left by
+   *   writes that missed their quorum count as current.
+   * - `unreachable`: current replicas exist but a lookup finds nothing
+   *
+   * @private
+   * @param {string} label
+   * @param {number} maxLost
+   * @param {number} maxStale
+   * @param {number} maxUnreachable
+   * @returns {Promise<object>}
+   */
+  async _check(label, maxLost, maxStale, maxUnreachable) {
+    const lost = [];
+    const stale = [];
+    const unreachable = [];
+    let ok = 0;
+
+    for (const [key, { version }] of this.written) {
+      const isCurrent = (value) => (this.versions.get(value) ?? 0) >= version;
+
+      const replicas = await this.sim.replicas(key);
+      const fresh = replicas.filter((r) =>
+        isCurrent(toUtf8(fromBase64(r.record.data)))
+      );
+
+      const reader = pick(this.sim.random, this.sim.nodes);
+      const { value: read } = await this.sim.settle(reader.findValue(key));
+
+      if (!read) {
+        if (0 === replicas.length) lost.push(key);
+        else if (0 === fresh.length) stale.push(key);
+        else unreachable.push(key);
+      } else if (!isCurrent(toUtf8(read)) || 0 === fresh.length) {
+        stale.push(key);
+      } else {
+        ok++;
+      }
+    }
+
+    return {
+      label,
+      time: this.sim.clock.now() - this.sim.startTime,
+      nodes: this.sim.nodes.length,
+      keys: this.written.size,
+      ok,
+      lost,
+      stale,
+      unreachable,
+      passed:
+        lost.length <= maxLost &&
+        stale.length <= maxStale &&
+        unreachable.length <= maxUnreachable,
+    };
+  }
+}
@@ -0,0 +1,220 @@
+import { MemoryNetwork } from '../peer/memory-transport.js';
+
+/**
+ * Default link characteristics.
+ */
+export const DEFAULT_LINK = {
+  latency: 50, // ms, one way
+  jitter: 0, // ms, uniformly added to latency
+  loss: 0, // probability of each transmission of a message being lost
+  bandwidth: Infinity, // bytes per second
+};
+
+/**
+ * Lower bound for the delay before a lost message is retransmitted, in ms.
+ * The actual timeout is at least three one-way latencies and doubles after
+ * each further loss of the same message.
+ */
+export const MIN_RETRANSMIT_TIMEOUT = 200;
+
+/**
+ * Retransmissions after which a message is delivered regardless of loss,
+ * so a loss probability of 1 cannot stall a link forever.
+ */
+export const MAX_RETRANSMITS = 10;
+
+/**
+ * Virtual network for the simulator.
+ *
+ * Extends MemoryNetwork so that every delivery is scheduled on the virtual
+ * clock after the link's latency, jitter and transmission time. Data
+ * channels are reliable, so a lost data message is not dropped but
+ * retransmitted: each loss delays it by a retransmission timeout.
+ * Deliveries on the same directed link stay in order, like an ordered data
+ * channel, so later messages wait behind a retransmitted one.
+ *
+ * Crashed nodes and partitions make links silently drop traffic, as a real
+ * network would, rather than closing them.
+ */
+export class SimNetwork extends MemoryNetwork {
+  /**
+   * @param {object} opts
+   * @param {import('./virtual-clock.js').VirtualClock} opts.clock
+   * @param {() => number} opts.random - Seeded random source.
+   * @param {Partial<typeof DEFAULT_LINK>} [opts.link] - Default link model.
+   */
+  constructor({ clock, random, link }) {
+    super();
+
+    this.clock = clock;
+    this.random = random;
+    this.link = { ...DEFAULT_LINK, ...link };
+
+    /**
+     * Per-link overrides keyed by `${a}:${b}` with a < b.
+     *
+     * @type {Map<string, typeof DEFAULT_LINK>}
+     */
+    this.overrides = new Map();
+
+    /**
+     * Per directed link: time the sender finishes transmitting, and time
+     * the last message arrives.
+     *
+     * @type {Map<string, {busyUntil: number, lastArrival: number}>}
+     */
+    this.queues = new Map();
+
+    /**
+     * Crashed nodes: everything to or from them is dropped.
+     *
+     * @type {Set<string>}
+     */
+    this.down = new Set();
+
+    /**
+     * Partition group of each node while the network is split. Nodes not
+     * listed are in group 0.
+     *
+     * @type {Map<string, number>|null}
+     */
+    this.groups = null;
+
+    this.stats = {
+      delivered: 0,
+      dropped: 0,
+      retransmits: 0,
+      bytes: 0,
+    };
+  }
+
+  /**
+   * Crash a node: it disappears without closing its links, so peers only
+   * notice through timeouts.
+   *
+   * @param {string} nodeIdHex
+   */
+  crash(nodeIdHex) {
+    this.down.add(nodeIdHex);
+    this.unregister(nodeIdHex);
+  }
+
+  /**
+   * Split the network into groups that cannot reach each other.
+   *
+   * @param {string[][]} groups - Node IDs per group.
+   */
+  partition(groups) {
+    this.groups = new Map();
+    groups.forEach((ids, i) => {
+      for (const id of ids) this.groups.set(id, i);
+    });
+  }
+
+  /**
+   * Remove any partition.
+   */
+  heal() {
+    this.groups = null;
+  }
+
+  reachable(fromHex, toHex) {
+    if (this.down.has(fromHex) || this.down.has(toHex)) return false;
+
+    if (this.groups) {
+      const a = this.groups.get(fromHex) ?? 0;
+      const b = this.groups.get(toHex) ?? 0;
+      if (a !== b) return false;
+    }
+
+    return super.reachable(fromHex, toHex);
+  }
+
+  /**
+   * Override the model of the link between two nodes (both directions).
+   *
+   * @param {string} aHex
+   * @param {string} bHex
+   * @param {Partial<typeof DEFAULT_LINK>} opts
+   */
+  setLink(aHex, bHex, opts) {
+    this.overrides.set(linkKey(aHex, bHex), {
+      ...this.linkBetween(aHex, bHex),
+      ...opts,
+    });
+  }
+
+  /**
+   * Link model between two nodes.
+   *
+   * @param {string} aHex
+   * @param {string} bHex
+   * @returns {typeof DEFAULT_LINK}
+   */
+  linkBetween(aHex, bHex) {
+    return this.overrides.get(linkKey(aHex, bHex)) ?? this.link;
+  }
+
+  deliver(fromHex, toHex, fn, size = 0) {
+    const link = this.linkBetween(fromHex, toHex);
+
+    if (!this.reachable(fromHex, toHex)) {
+      this.stats.dropped++;
+      return;
+    }
+
+    const now = this.clock.now();
+    const key = `${fromHex}>${toHex}`;
+    const queue = this.queues.get(key) ?? { busyUntil: 0, lastArrival: 0 };
+
+    let sent = now;
+    if (size > 0 && Number.isFinite(link.bandwidth)) {
+      sent = Math.max(now, queue.busyUntil) + (size / link.bandwidth) * 1000;
+      queue.busyUntil = sent;
+    }
+
+    const arrival = Math.max(
+      sent +
+        link.latency +
+        this.random() * link.jitter +
+        (size > 0 ? this._retransmitDelay(link) : 0),
+      queue.lastArrival
+    );
+    queue.lastArrival = arrival;
+    this.queues.set(key, queue);
+
+    this.stats.delivered++;
+    this.stats.bytes += size;
+
+    this.clock.setTimeout(fn, arrival - now);
+  }
+
+  /**
+   * Time lost to retransmissions before a message gets through the link.
+   *
+   * @private
+   * @param {typeof DEFAULT_LINK} link
+   * @returns {number}
+   */
+  _retransmitDelay(link) {
+    let timeout = Math.max(MIN_RETRANSMIT_TIMEOUT, 3 * link.latency);
+    let delay = 0;
+
+    for (let i = 0; i < MAX_RETRANSMITS && this.random() < link.loss; i++) {
+      this.stats.retransmits++;
+      delay += timeout;
+      timeout *= 2;
+    }
+
+    return delay;
+  }
+}
+
+/**
+ * @param {string} aHex
+ * @param {string} bHex
+ * @returns {string}
+ */
+function linkKey(aHex, bHex) {
+  return aHex < bHex ? `${aHex}:${bHex}` : `${bHex}:${aHex}`;
+}
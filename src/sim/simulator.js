@@ -0,0 +1,349 @@
+import { PeerNode } from '../peer/peer-node.js';
+import { MemoryTransport } from '../peer/memory-transport.js';
+import { createIdentity, generateKeyId } from '../peer/utils.js';
+import { equalBytes, toBytes, toHex } from '../peer/bytes.js';
+import { SimNetwork } from './sim-network.js';
+import { VirtualClock } from './virtual-clock.js';
+import { createRng, pick, randomBytes } from './rng.js';
+
+const JOIN_TIMEOUT = 30_000;
+const OP_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Deterministic in-process simulator for PeerNode clusters.
+ *
+ * Boots PeerNode instances on MemoryTransports linked through a SimNetwork,
+ * with all node timers driven by a VirtualClock. Node keys, link behaviour
+ * and maintenance randomness come from one seeded RNG, so a run is
+ * reproducible from its seed and options.
+ *
+ * Collects lookup hop counts, storeValue quorum success and findValue hit
+ * rates while it runs.
+ */
+export class Simulator {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.seed=1] - RNG seed
+   * @param {Partial<import('./sim-network.js').DEFAULT_LINK>} [opts.link] -
+   *   Default link model (latency, jitter, loss, bandwidth)
+   * @param {object} [opts.node] - Extra PeerNode options (k, alpha, intervals)
+   */
+  constructor({ seed = 1, link, node } = {}) {
+    this.seed = seed;
+    this.random = createRng(seed);
+    this.clock = new VirtualClock();
+    this.startTime = this.clock.now();
+
+    this.network = new SimNetwork({
+      clock: this.clock,
+      random: this.random,
+      link,
+    });
+
+    this.nodeOptions = node ?? {};
+
+    /**
+     * Live nodes.
+     *
+     * @type {PeerNode[]}
+     */
+    this.nodes = [];
+
+    /**
+     * Per-node clock scopes, used to stop a node's timers when it leaves.
+     *
+     * @type {Map<PeerNode, ReturnType<VirtualClock['scope']>>}
+     */
+    this.clocks = new Map();
+
+    this.departed = 0;
+
+    this.metrics = {
+      lookups: { FIND_NODE: [], FIND_VALUE: [] },
+      stores: { attempts: 0, successes: 0 },
+      finds: { attempts: 0, hits: 0 },
+    };
+  }
+
+  /**
+   * Create and start a node, and join it to the network through a random
+   * existing node.
+   *
+   * @returns {Promise<PeerNode>}
+   */
+  async addNode() {
+    const clock = this.clock.scope();
+    const node = new PeerNode({
+      ...this.nodeOptions,
+      identity: await createIdentity(randomBytes(this.random, 32)),
+      transport: new MemoryTransport({ network: this.network }),
+      clock,
+      random: this.random,
+    });
+    this.clocks.set(node, clock);
+
+    node.onLookup = ({ type, hops }) => {
+      this.metrics.lookups[type]?.push(hops);
+    };
+
+    const bootstrap = pick(this.random, this.nodes);
+
+    node.start();
+    this.nodes.push(node);
+
+    if (bootstrap) {
+      await this.join(node, bootstrap);
+    }
+
+    return node;
+  }
+
+  /**
+   * Boot `count` nodes one after the other.
+   *
+   * @param {number} count
+   */
+  async boot(count) {
+    for (let i = 0; i < count; i++) {
+      await this.addNode();
+    }
+  }
+
+  /**
+   * Connect a node to a bootstrap node and look up its own ID to fill
+   * its routing table.
+   *
+   * @param {PeerNode} node
+   * @param {PeerNode} bootstrap
+   */
+  async join(node, bootstrap) {
+    await this.settle(
+      node.conn.connect(bootstrap.peerIdHex).catch(() => {}),
+      JOIN_TIMEOUT
+    );
+    await this.clock.advance(1000);
+
+    for (let i = 0; i < 2; i++) {
+      await this.settle(node.iterativeFindNode(node.peerId), JOIN_TIMEOUT);
+      await this.clock.advance(1000);
+    }
+  }
+
+  /**
+   * Crash a node: its timers stop and its links go silent, so its peers
+   * only find out through heartbeats and liveness pings.
+   *
+   * @param {PeerNode} node
+   */
+  crash(node) {
+    this._retire(node);
+    this.network.crash(node.peerIdHex);
+  }
+
+  /**
+   * Remove a node gracefully with `stop()`: it hands its records off and
+   * says goodbye, so peers see it go immediately.
+   *
+   * @param {PeerNode} node
+   * @returns {Promise<void>}
+   */
+  async leave(node) {
+    await this.settle(node.stop());
+    this._retire(node);
+  }
+
+  /**
+   * Split the live nodes into two random groups that cannot reach each
+   * other. Nodes added during the partition join the first group.
+   *
+   * @param {number} [fraction=0.5] - Share of nodes in the second group.
+   * @returns {[PeerNode[], PeerNode[]]}
+   */
+  partition(fraction = 0.5) {
+    const shuffled = this.shuffle(this.nodes);
+    const cut = shuffled.length - Math.round(shuffled.length * fraction);
+    const groups = [shuffled.slice(0, cut), shuffled.slice(cut)];
+
+    this.network.partition(groups.map((g) => g.map((n) => n.peerIdHex)));
+    return groups;
+  }
+
+  /**
+   * Remove any partition.
+   */
+  heal() {
+    this.network.heal();
+  }
+
+  /**
+   * Unexpired copies of a key held by live nodes.
+   *
+   * @param {string} key
+   * @returns {Promise<{node: PeerNode, record: object, publisher: boolean}[]>}
+   */
+  async replicas(key) {
+    const keyHex = toHex(await generateKeyId(key));
+    const now = this.clock.now();
+    const out = [];
+
+    for (const node of this.nodes) {
+      const entry = node.store.get(keyHex);
+      if (entry && entry.expires > now) {
+        out.push({ node, record: entry.record, publisher: entry.publisher });
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * Seeded Fisher-Yates shuffle of a copy of an array.
+   *
+   * @template T
+   * @param {T[]} items
+   * @returns {T[]}
+   */
+  shuffle(items) {
+    const out = [...items];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  /**
+   * Advance virtual time, running every node's timers.
+   *
+   * @param {number} ms
+   */
+  async run(ms) {
+    await this.clock.advance(ms);
+  }
+
+  /**
+   * Advance virtual time until a promise settles.
+   *
+   * @template T
+   * @param {Promise<T>} promise
+   * @param {number} [maxMs]
+   * @returns {Promise<{done: boolean, value?: T, error?: any}>}
+   */
+  settle(promise, maxMs = OP_TIMEOUT) {
+    return this.clock.runUntil(promise, maxMs);
+  }
+
+  /**
+   * Store a value from a node (random by default) and record whether the
+   * write quorum was reached.
+   *
+   * @param {string} key
+   * @param {string|Uint8Array} value
+   * @param {PeerNode} [node]
+   * @returns {Promise<boolean>}
+   */
+  async store(key, value, node = pick(this.random, this.nodes)) {
+    this.metrics.stores.attempts++;
+
+    const { done, error } = await this.settle(node.storeValue(key, value));
+    const ok = done && !error;
+    if (ok) this.metrics.stores.successes++;
+
+    return ok;
+  }
+
+  /**
+   * Look up a key from a node (random by default) and record whether the
+   * expected value was found.
+   *
+   * @param {string} key
+   * @param {string|Uint8Array} expected
+   * @param {PeerNode} [node]
+   * @returns {Promise<boolean>}
+   */
+  async find(key, expected, node = pick(this.random, this.nodes)) {
+    this.metrics.finds.attempts++;
+
+    const { value } = await this.settle(node.findValue(key));
+    const hit = !!value && equalBytes(value, toBytes(expected));
+    if (hit) this.metrics.finds.hits++;
+
+    return hit;
+  }
+
+  /**
+   * Summarise the run.
+   *
+   * @returns {object}
+   */
+  report() {
+    const { lookups, stores, finds } = this.metrics;
+
+    return {
+      seed: this.seed,
+      nodes: this.nodes.length,
+      departed: this.departed,
+      virtualTimeMs: this.clock.now() - this.startTime,
+      routingTable: summarize(this.nodes.map((n) => n.routingTable.size())),
+      connections: summarize(
+        this.nodes.map((n) => n.conn.getConnectedPeers().length)
+      ),
+      lookupHops: {
+        FIND_NODE: summarize(lookups.FIND_NODE),
+        FIND_VALUE: summarize(lookups.FIND_VALUE),
+      },
+      store: { ...stores, rate: ratio(stores.successes, stores.attempts) },
+      find: { ...finds, rate: ratio(finds.hits, finds.attempts) },
+      network: { ...this.network.stats },
+    };
+  }
+
+  /**
+   * Stop a node's timers and forget it.
+   *
+   * @private
+   * @param {PeerNode} node
+   */
+  _retire(node) {
+    const idx = this.nodes.indexOf(node);
+    if (-1 === idx) return;
+
+    this.nodes.splice(idx, 1);
+    this.clocks.get(node).clearAll();
+    this.clocks.delete(node);
+    this.departed++;
+  }
+}
+
+/**
+ * Count, mean, median, 95th percentile and max of a list of numbers.
+ *
+ * @param {number[]} values
+ * @returns {{count: number, mean: number, p50: number, p95: number, max: number}}
+ */
+function summarize(values) {
+  if (0 === values.length) {
+    return { count: 0, mean: 0, p50: 0, p95: 0, max: 0 };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+
+  return {
+    count: sorted.length,
+    mean: sorted.reduce((s, v) => s + v, 0) / sorted.length,
+    p50: at(0.5),
+    p95: at(0.95),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * @param {number} n
+ * @param {number} d
+ * @returns {number}
+ */
+function ratio(n, d) {
+  return 0 === d ? 0 : n / d;
+}
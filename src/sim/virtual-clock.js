@@ -0,0 +1,250 @@
+/**
+ * Virtual clock implementing the clock interface from peer/clock.js.
+ *
+ * Time only moves when the simulator advances it. Timers fire in order of
+ * due time, ties broken by scheduling order, and pending promise callbacks
+ * are drained after every timer so async code observes a consistent time.
+ */
+export class VirtualClock {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.start] - Initial time in milliseconds.
+   */
+  constructor({ start = Date.UTC(2024, 0, 1) } = {}) {
+    this.time = start;
+    this.seq = 0;
+
+    /**
+     * Min-heap of scheduled timers ordered by (at, id).
+     *
+     * @type {{id: number, at: number, fn: Function, every: number|null}[]}
+     */
+    this.heap = [];
+
+    /**
+     * Timer IDs that are still scheduled.
+     *
+     * @type {Set<number>}
+     */
+    this.active = new Set();
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(fn, ms = 0) {
+    return this._schedule(fn, ms, null);
+  }
+
+  clearTimeout(id) {
+    this.active.delete(id);
+  }
+
+  setInterval(fn, ms) {
+    return this._schedule(fn, ms, Math.max(1, ms));
+  }
+
+  clearInterval(id) {
+    this.active.delete(id);
+  }
+
+  /**
+   * Create a view of this clock that tracks the timers scheduled through
+   * it, so they can all be cancelled at once (e.g. when a node crashes).
+   *
+   * @returns {{now: Function, setTimeout: Function, clearTimeout: Function,
+   *   setInterval: Function, clearInterval: Function, clearAll: Function}}
+   */
+  scope() {
+    const ids = new Set();
+
+    return {
+      now: () => this.now(),
+      setTimeout: (fn, ms) => {
+        const id = this.setTimeout(() => {
+          ids.delete(id);
+          return fn();
+        }, ms);
+        ids.add(id);
+        return id;
+      },
+      clearTimeout: (id) => {
+        ids.delete(id);
+        this.clearTimeout(id);
+      },
+      setInterval: (fn, ms) => {
+        const id = this.setInterval(fn, ms);
+        ids.add(id);
+        return id;
+      },
+      clearInterval: (id) => {
+        ids.delete(id);
+        this.clearInterval(id);
+      },
+      clearAll: () => {
+        for (const id of ids) this.clearTimeout(id);
+        ids.clear();
+      },
+    };
+  }
+
+  /**
+   * Number of timers still scheduled.
+   *
+   * @returns {number}
+   */
+  pending() {
+    return this.active.size;
+  }
+
+  /**
+   * Fire the next due timer, moving time forward to it.
+   *
+   * @param {number} [limit=Infinity] - Do not move past this time.
+   * @returns {Promise<boolean>} Whether a timer fired.
+   */
+  async step(limit = Infinity) {
+    const timer = this._peek();
+    if (!timer || timer.at > limit) return false;
+
+    this._pop();
+    this.time = Math.max(this.time, timer.at);
+
+    if (timer.every !== null) {
+      timer.at = this.time + timer.every;
+      this._push(timer);
+    } else {
+      this.active.delete(timer.id);
+    }
+
+    try {
+      const result = timer.fn();
+      result?.catch?.((err) => console.error('Timer callback failed:', err));
+    } catch (err) {
+      console.error('Timer callback failed:', err);
+    }
+
+    await drain();
+    return true;
+  }
+
+  /**
+   * Advance time by `ms`, firing every timer that falls due.
+   *
+   * @param {number} ms
+   */
+  async advance(ms) {
+    const until = this.time + ms;
+    while (await this.step(until));
+    this.time = until;
+  }
+
+  /**
+   * Advance time until a promise settles or `maxMs` elapses.
+   *
+   * @template T
+   * @param {Promise<T>} promise
+   * @param {number} [maxMs=Infinity]
+   * @returns {Promise<{done: boolean, value?: T, error?: any}>}
+   */
+  async runUntil(promise, maxMs = Infinity) {
+    const state = { done: false };
+    promise.then(
+      (value) => Object.assign(state, { done: true, value }),
+      (error) => Object.assign(state, { done: true, error })
+    );
+
+    await drain();
+
+    const until = this.time + maxMs;
+    while (!state.done && (await this.step(until)));
+
+    return state;
+  }
+
+  /**
+   * @private
+   */
+  _schedule(fn, ms, every) {
+    const id = ++this.seq;
+    this.active.add(id);
+    this._push({ id, at: this.time + Math.max(0, ms || 0), fn, every });
+    return id;
+  }
+
+  /**
+   * Return the earliest active timer, discarding cancelled ones.
+   *
+   * @private
+   */
+  _peek() {
+    while (this.heap.length > 0 && !this.active.has(this.heap[0].id)) {
+      this._pop();
+    }
+    return this.heap[0];
+  }
+
+  /**
+   * @private
+   */
+  _push(timer) {
+    const heap = this.heap;
+    heap.push(timer);
+
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(heap[i], heap[parent])) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _pop() {
+    const heap = this.heap;
+    const top = heap[0];
+    const last = heap.pop();
+
+    if (heap.length > 0) {
+      heap[0] = last;
+
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let min = i;
+        if (l < heap.length && before(heap[l], heap[min])) min = l;
+        if (r < heap.length && before(heap[r], heap[min])) min = r;
+        if (min === i) break;
+        [heap[i], heap[min]] = [heap[min], heap[i]];
+        i = min;
+      }
+    }
+
+    return top;
+  }
+}
+
+/**
+ * Heap ordering: earlier due time first, then earlier scheduling.
+ *
+ * @param {{at: number, id: number}} a
+ * @param {{at: number, id: number}} b
+ * @returns {boolean}
+ */
+function before(a, b) {
+  return a.at !== b.at ? a.at < b.at : a.id < b.id;
+}
+
+/**
+ * Let all queued promise callbacks run.
+ *
+ * @returns {Promise<void>}
+ */
+function drain() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryNetwork } from '../src/peer/memory-transport.js';
+import { VirtualClock } from '../src/sim/virtual-clock.js';
+import { MSG_SIGNAL_ICE, MSG_SIGNAL_OFFER } from '../src/peer/constants.js';
+import {
+  createIdentity,
+  decodeSignal,
+  encodeSignal,
+} from '../src/peer/utils.js';
+import { toHex } from '../src/peer/bytes.js';
+import {
+  connectPair,
+  nextEvent,
+  startManager,
+  startServer,
+} from './helpers.js';
+
+const SIGNAL_TTL = 8;
+const SIGNAL_ACK_TIMEOUT = 10_000;
+
+/**
+ * Managers on a virtual clock, each connected to the next and routing
+ * signals only towards the end of the line.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {number} count
+ */
+async function line(t, count) {
+  const network = new MemoryNetwork();
+  const clock = new VirtualClock();
+  const nodes = [];
+
+  for (let i = 0; i < count; i++) {
+    nodes.push(await startManager(t, network, { clock }));
+  }
+  for (let i = 1; i < count; i++) {
+    await connectPair(nodes[i - 1], nodes[i]);
+    nodes[i - 1].routeSignal = () => [nodes[i].nodeIdHex];
+  }
+
+  return { clock, nodes };
+}
+
+/**
+ * Wait for the next routed signal a manager receives, before it is
+ * handled.
+ *
+ * @param {import('../src/peer/connection-manager.js').ConnectionManager} conn
+ * @returns {Promise<{peerIdHex: string, type: number, payload: object}>}
+ */
+function nextSignal(conn) {
+  const handle = conn._handleDhtSignal;
+
+  return new Promise((resolve) => {
+    conn._handleDhtSignal = (peerIdHex, buf) => {
+      conn._handleDhtSignal = handle;
+      resolve({ peerIdHex, ...decodeSignal(buf) });
+      return handle.call(conn, peerIdHex, buf);
+    };
+  });
+}
+
+/**
+ * A routed ICE candidate from `from` to `to`, as its sender encodes it.
+ */
+function ice(from, to, fields = {}) {
+  return encodeSignal(MSG_SIGNAL_ICE, {
+    from: from.nodeIdHex,
+    to: to.nodeIdHex,
+    payload: {},
+    ttl: SIGNAL_TTL,
+    path: [from.nodeIdHex],
+    ...fields,
+  });
+}
+
+test('the first node of a network closes signaling once it has minPeers peers', async (t) => {
+  const { url } = await startServer(t);
+  const network = new MemoryNetwork();
+  const opts = { signalingUrls: [url], minPeers: 1 };
+
+  const first = await startManager(t, network, opts);
+  await nextEvent(first.signaling, 'peers');
+  assert.equal(first.alone, true);
+  assert.equal(first.signaling.active, true);
+
+  const joined = nextEvent(first, 'peerConnected');
+  await startManager(t, network, opts);
+  await joined;
+
+  assert.equal(first.alone, false);
+  assert.equal(first.signaling.active, false);
+});
+
+test('a bootstrap node stays registered once it has minPeers peers', async (t) => {
+  const { url, signalling } = await startServer(t);
+  const network = new MemoryNetwork();
+  const opts = { signalingUrls: [url], minPeers: 1 };
+
+  const bootstrap = await startManager(t, network, {
+    ...opts,
+    bootstrap: true,
+  });
+  await nextEvent(bootstrap.signaling, 'peers');
+
+  const joiner = await startManager(t, network, opts);
+  await nextEvent(joiner, 'peerConnected');
+
+  assert.equal(joiner.signaling.active, false);
+  assert.equal(bootstrap.signaling.active, true);
+  assert.ok(signalling.networks.get('').has(bootstrap.nodeIdHex));
+});
+
+test('a forwarded signal has its hop budget capped and the hop appended', async (t) => {
+  const {
+    nodes: [a, b, c],
+  } = await line(t, 3);
+
+  const received = nextSignal(c);
+  a.send(b.nodeIdHex, ice(a, c, { ttl: 1000 }));
+
+  const { peerIdHex, payload } = await received;
+  assert.equal(peerIdHex, b.nodeIdHex);
+  assert.equal(payload.ttl, SIGNAL_TTL - 1);
+  assert.deepEqual(payload.path, [a.nodeIdHex, b.nodeIdHex]);
+});
+
+test('signals out of hops or looping back are not forwarded', async (t) => {
+  const {
+    nodes: [a, b, c],
+  } = await line(t, 3);
+
+  const received = nextSignal(c);
+  a.send(b.nodeIdHex, ice(a, c, { ttl: 1 }));
+  a.send(b.nodeIdHex, ice(a, c, { path: [a.nodeIdHex, b.nodeIdHex] }));
+
+  // Signals from one peer are handled in order, so only this one can be
+  // the first to arrive.
+  const valid = ice(a, c);
+  a.send(b.nodeIdHex, valid);
+
+  const { payload } = await received;
+  assert.equal(payload.messageId, decodeSignal(valid).payload.messageId);
+});
+
+test('offers are acknowledged along the path they came', async (t) => {
+  const {
+    nodes: [a, , , d],
+  } = await line(t, 4);
+
+  const delivered = nextEvent(a, 'signalDelivered');
+  a._sendRoutedSignal(d.nodeIdHex, MSG_SIGNAL_OFFER, {});
+
+  // Nothing routes towards `a`, so the ack can only follow the
+  // remembered path back.
+  const [peerIdHex] = await delivered;
+  assert.equal(peerIdHex, d.nodeIdHex);
+  assert.equal(a.pendingOffers.size, 0);
+});
+
+test('the path back is only remembered if it ends at the peer that delivered it', async (t) => {
+  const {
+    nodes: [a, b, c],
+  } = await line(t, 3);
+  await connectPair(a, c);
+
+  let received = nextSignal(c);
+  a.send(c.nodeIdHex, ice(a, c, { path: [a.nodeIdHex, b.nodeIdHex] }));
+  await received;
+  assert.equal(c.signalReversePath.has(a.nodeIdHex), false);
+
+  received = nextSignal(c);
+  a.send(c.nodeIdHex, ice(a, c));
+  await received;
+  assert.deepEqual(c.signalReversePath.get(a.nodeIdHex).route, [a.nodeIdHex]);
+});
+
+test('an offer that is never acknowledged is reported as undelivered', async (t) => {
+  const {
+    clock,
+    nodes: [a],
+  } = await line(t, 2);
+  const missing = toHex((await createIdentity()).nodeId);
+
+  let lost = null;
+  a.on('signalUndelivered', (...args) => (lost = args));
+  a._sendRoutedSignal(missing, MSG_SIGNAL_OFFER, {});
+  const [offerId] = a.pendingOffers.keys();
+
+  await clock.advance(SIGNAL_ACK_TIMEOUT - 1);
+  assert.equal(lost, null);
+
+  await clock.advance(1);
+  assert.deepEqual(lost, [missing, offerId]);
+  assert.equal(a.pendingOffers.size, 0);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryNetwork } from '../src/peer/memory-transport.js';
+import { VirtualClock } from '../src/sim/virtual-clock.js';
+import { bucketIndex, createIdentity } from '../src/peer/utils.js';
+import {
+  connectPair,
+  disconnected,
+  nextEvent,
+  startManager,
+  startNode,
+} from './helpers.js';
+
+// Links younger than this are never evicted.
+const MIN_CONNECTION_AGE = 30_000;
+
+/**
+ * A manager with room for two connections, already connected to `b` and
+ * then `c`, and a third peer `d` to dial.
+ *
+ * @param {import('node:test').TestContext} t
+ */
+async function setup(t) {
+  const network = new MemoryNetwork();
+  const clock = new VirtualClock();
+  const a = await startManager(t, network, {
+    clock,
+    maxConnections: 2,
+  });
+  const [b, c, d] = await Promise.all([
+    startManager(t, network),
+    startManager(t, network),
+    startManager(t, network),
+  ]);
+
+  await connectPair(a, b);
+  await connectPair(a, c);
+  return { network, clock, a, b, c, d };
+}
+
+test('the longest idle peer is evicted to make room', async (t) => {
+  const { clock, a, b, c, d } = await setup(t);
+
+  await clock.advance(MIN_CONNECTION_AGE);
+  await a.send(b.nodeIdHex, Uint8Array.of(0x70));
+
+  const evicted = disconnected(a, c.nodeIdHex);
+  await connectPair(a, d);
+
+  assert.equal(await evicted, 'evicted');
+  assert.deepEqual(
+    a.getConnectedPeers().sort(),
+    [b.nodeIdHex, d.nodeIdHex].sort()
+  );
+});
+
+test('kept and young peers are not evicted', async (t) => {
+  const { clock, a, b, c, d } = await setup(t);
+  a.keepPeer = (peerIdHex) => peerIdHex === b.nodeIdHex;
+
+  await clock.advance(MIN_CONNECTION_AGE);
+  await a.send(c.nodeIdHex, Uint8Array.of(0x70));
+
+  const evicted = disconnected(a, c.nodeIdHex);
+  await connectPair(a, d);
+  assert.equal(await evicted, 'evicted');
+
+  // `b` is kept and `d` has just connected.
+  assert.equal(a.canConnect(), false);
+  await assert.rejects(a.connect(c.nodeIdHex), /Connection limit of 2/);
+});
+
+test('lookup links are only kept for the closest neighbours', async (t) => {
+  const network = new MemoryNetwork();
+  const a = await startNode(t, network, { k: 1 });
+  const b = await startNode(t, network);
+
+  // With k = 1, `c` needs a bucket of its own to join the table too.
+  let identity;
+  do {
+    identity = await createIdentity();
+  } while (
+    bucketIndex(a.peerId, identity.nodeId) === bucketIndex(a.peerId, b.peerId)
+  );
+  const c = await startNode(t, network, { identity });
+
+  for (const peer of [b, c]) {
+    const connected = nextEvent(
+      a.conn,
+      'peerConnected',
+      (id) => id === peer.peerIdHex
+    );
+    a.maybeDialPeer(peer.peerIdHex);
+    await connected;
+  }
+  assert.ok(a.routingTable.has(b.peerId) && a.routingTable.has(c.peerId));
+
+  // The peer in the higher bucket shares a longer prefix with `a`.
+  const [near, far] =
+    bucketIndex(a.peerId, b.peerId) > bucketIndex(a.peerId, c.peerId)
+      ? [b, c]
+      : [c, b];
+  assert.equal(a.conn.keepPeer(near.peerIdHex), true);
+  assert.equal(a.conn.keepPeer(far.peerIdHex), false);
+
+  // Contacts not dialed for a lookup are kept while they are in the table.
+  a.lookupPeers.delete(far.peerIdHex);
+  assert.equal(a.conn.keepPeer(far.peerIdHex), true);
+});
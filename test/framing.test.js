@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_FRAME_SIZE, REASSEMBLY_TIMEOUT } from '../src/peer/framing.js';
+import { encodeChunk } from '../src/peer/utils.js';
+import { VirtualClock } from '../src/sim/virtual-clock.js';
+import { connectedManagers, messagesFrom, nextEvent } from './helpers.js';
+
+/**
+ * @param {number} size
+ * @returns {Uint8Array} A bulk message of `size` bytes.
+ */
+function message(size) {
+  const buf = new Uint8Array(size).map((_, i) => i % 251);
+  buf[0] = 0x70;
+  return buf;
+}
+
+test('messages larger than a frame are chunked and reassembled', async (t) => {
+  const { a, b } = await connectedManagers(t);
+  const received = messagesFrom(b, a.nodeIdHex);
+
+  const big = message(5 * MAX_FRAME_SIZE + 123);
+  await a.send(b.nodeIdHex, big);
+
+  assert.deepEqual(await received, [big]);
+});
+
+test('messages over the size limit are refused', async (t) => {
+  const { a, b } = await connectedManagers(t, { maxMessageSize: 64 * 1024 });
+  const received = messagesFrom(b, a.nodeIdHex);
+
+  await assert.rejects(
+    b.send(a.nodeIdHex, message(64 * 1024 + 1)),
+    /exceeds the 65536 byte limit/
+  );
+
+  // The sender allows 1 MiB, so only the receiver's limit applies.
+  await a.send(b.nodeIdHex, message(100 * 1024));
+  await a.send(b.nodeIdHex, message(10));
+
+  assert.deepEqual(await received, [message(10)]);
+  assert.deepEqual(b.getConnectedPeers(), [a.nodeIdHex]);
+});
+
+test('incomplete messages are discarded after the reassembly timeout', async (t) => {
+  const clock = new VirtualClock();
+  const { a, b } = await connectedManagers(t, { clock });
+
+  let received = 0;
+  b.on('message', (id) => {
+    if (id === a.nodeIdHex) received++;
+  });
+
+  const data = message(100);
+  const sendChunk = async (messageId, seq) => {
+    // The manager handles a frame before this listener sees it.
+    const handled = nextEvent(b.transport, 'message');
+    a.transport.send(b.nodeIdHex, encodeChunk(messageId, seq, 2, data));
+    await handled;
+  };
+
+  await sendChunk(1, 0);
+  await clock.advance(REASSEMBLY_TIMEOUT - 1);
+  await sendChunk(1, 1);
+  assert.equal(received, 1);
+
+  await sendChunk(2, 0);
+  await clock.advance(REASSEMBLY_TIMEOUT);
+  await sendChunk(2, 1);
+  assert.equal(received, 1);
+  assert.equal(b.framer.partials.get(a.nodeIdHex)?.get(2)?.received, 1);
+});
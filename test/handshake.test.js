@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConnectionManager } from '../src/peer/connection-manager.js';
+import {
+  MemoryNetwork,
+  MemoryTransport,
+} from '../src/peer/memory-transport.js';
+import { createIdentity, randomNodeId } from '../src/peer/utils.js';
+import {
+  connectedManagers,
+  disconnected,
+  messagesFrom,
+  startManager,
+} from './helpers.js';
+
+test('peers that prove their node ID are connected', async (t) => {
+  const { a, b } = await connectedManagers(t);
+
+  assert.deepEqual(a.getConnectedPeers(), [b.nodeIdHex]);
+  assert.deepEqual(b.getConnectedPeers(), [a.nodeIdHex]);
+});
+
+test('a peer claiming an ID its key does not hash to is dropped', async (t) => {
+  const network = new MemoryNetwork();
+  const honest = await startManager(t, network);
+
+  const identity = await createIdentity();
+  const impostor = new ConnectionManager({
+    nodeId: randomNodeId(),
+    identity,
+    transport: new MemoryTransport({ network }),
+  });
+  impostor.start();
+  t.after(() => impostor.stop());
+
+  let received = 0;
+  honest.on('message', (id) => {
+    if (id === impostor.nodeIdHex) received++;
+  });
+  const reason = disconnected(honest, impostor.nodeIdHex);
+
+  await impostor.connect(honest.nodeIdHex);
+  impostor.send(honest.nodeIdHex, Uint8Array.of(0x70));
+
+  // The link is closed, so nothing the impostor sent can arrive later.
+  assert.equal(await reason, 'handshake');
+  assert.deepEqual(honest.getConnectedPeers(), []);
+  assert.equal(received, 0);
+});
+
+test('messages wait for the handshake to pass', async (t) => {
+  const network = new MemoryNetwork();
+  const a = await startManager(t, network);
+  const b = await startManager(t, network);
+  const received = messagesFrom(b, a.nodeIdHex);
+
+  await a.connect(b.nodeIdHex);
+  const sent = a.send(b.nodeIdHex, Uint8Array.of(0x70, 1));
+  assert.equal(a.queueDepth(b.nodeIdHex), 1);
+
+  await sent;
+  assert.deepEqual(await received, [Uint8Array.of(0x70, 1)]);
+});
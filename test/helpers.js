@@ -0,0 +1,281 @@
+import { once } from 'events';
+import WebSocket from 'ws';
+import { ConnectionManager } from '../src/peer/connection-manager.js';
+import {
+  MemoryNetwork,
+  MemoryTransport,
+} from '../src/peer/memory-transport.js';
+import { PeerNode } from '../src/peer/peer-node.js';
+import { createSignallingServer } from '../src/signalling/server.js';
+import { createIdentity, registerPayload, sign } from '../src/peer/utils.js';
+import { fromHex, toBase64, toHex } from '../src/peer/bytes.js';
+
+/**
+ * Start a ConnectionManager on an in-memory network, stopped again when
+ * the test ends.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {MemoryNetwork} network
+ * @param {object} [opts] - Extra ConnectionManager options.
+ * @returns {Promise<ConnectionManager>}
+ */
+export async function startManager(t, network, opts = {}) {
+  const identity = opts.identity ?? (await createIdentity());
+  const conn = new ConnectionManager({
+    nodeId: identity.nodeId,
+    identity,
+    transport: new MemoryTransport({ network }),
+    ...opts,
+  });
+
+  conn.start();
+  t.after(() => conn.stop());
+  return conn;
+}
+
+/**
+ * Start a PeerNode on an in-memory network, stopped again when the test
+ * ends.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {MemoryNetwork} network
+ * @param {object} [opts] - Extra PeerNode options.
+ * @returns {Promise<PeerNode>}
+ */
+export async function startNode(t, network, opts = {}) {
+  const node = await PeerNode.create({
+    transport: new MemoryTransport({ network }),
+    ...opts,
+  });
+
+  await node.start();
+  t.after(() => node.stop());
+  return node;
+}
+
+/**
+ * Dial `b` from `a` and wait until both sides have verified each other.
+ *
+ * @param {ConnectionManager} a
+ * @param {ConnectionManager} b
+ */
+export async function connectPair(a, b) {
+  const verified = Promise.all([
+    a.waitForPeer(b.nodeIdHex, 1000),
+    b.waitForPeer(a.nodeIdHex, 1000),
+  ]);
+
+  await a.connect(b.nodeIdHex);
+  const [ab, ba] = await verified;
+  if (!ab || !ba) throw new Error('Peers did not pass the handshake');
+}
+
+/**
+ * Two ConnectionManagers on a fresh in-memory network that have passed the
+ * handshake with each other.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {object} [opts] - Extra options for the second manager.
+ * @returns {Promise<{network: MemoryNetwork, a: ConnectionManager, b: ConnectionManager}>}
+ */
+export async function connectedManagers(t, opts = {}) {
+  const network = new MemoryNetwork();
+  const a = await startManager(t, network);
+  const b = await startManager(t, network, opts);
+
+  await connectPair(a, b);
+  return { network, a, b };
+}
+
+/**
+ * Two PeerNodes on a fresh in-memory network that have passed the
+ * handshake with each other.
+ *
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<{network: MemoryNetwork, a: PeerNode, b: PeerNode}>}
+ */
+export async function connectedNodes(t) {
+  const network = new MemoryNetwork();
+  const a = await startNode(t, network);
+  const b = await startNode(t, network);
+
+  await connectPair(a.conn, b.conn);
+  return { network, a, b };
+}
+
+/**
+ * Wait for the first event whose arguments pass `filter`.
+ *
+ * @param {import('events').EventEmitter} emitter
+ * @param {string} event
+ * @param {(...args: any[]) => boolean} [filter]
+ * @returns {Promise<any[]>} The event's arguments.
+ */
+export function nextEvent(emitter, event, filter = () => true) {
+  return new Promise((resolve) => {
+    const listener = (...args) => {
+      if (!filter(...args)) return;
+      emitter.off(event, listener);
+      resolve(args);
+    };
+    emitter.on(event, listener);
+  });
+}
+
+/**
+ * Wait for a `peerDisconnected` event about a peer.
+ *
+ * @param {ConnectionManager} conn
+ * @param {string} peerIdHex
+ * @returns {Promise<string>} The disconnect reason.
+ */
+export async function disconnected(conn, peerIdHex) {
+  const [, reason] = await nextEvent(
+    conn,
+    'peerDisconnected',
+    (id) => id === peerIdHex
+  );
+  return reason;
+}
+
+/**
+ * Wait for the next `count` messages a manager dispatches from one peer.
+ *
+ * @param {ConnectionManager} conn
+ * @param {string} peerIdHex
+ * @param {number} [count=1]
+ * @returns {Promise<Uint8Array[]>}
+ */
+export function messagesFrom(conn, peerIdHex, count = 1) {
+  const received = [];
+
+  return new Promise((resolve) => {
+    const listener = (id, buf) => {
+      if (id !== peerIdHex) return;
+
+      received.push(buf);
+      if (received.length < count) return;
+      conn.off('message', listener);
+      resolve(received);
+    };
+    conn.on('message', listener);
+  });
+}
+
+/**
+ * Start a signalling server on an ephemeral local port, closed again when
+ * the test ends.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {object} [opts] - Extra createSignallingServer options.
+ * @returns {Promise<{url: string, port: number, signalling: ReturnType<typeof createSignallingServer>}>}
+ */
+export async function startServer(t, opts = {}) {
+  const signalling = createSignallingServer({
+    port: 0,
+    host: '127.0.0.1',
+    ...opts,
+  });
+  t.after(() => signalling.close());
+
+  await once(signalling.httpServer, 'listening');
+  const { port } = signalling.httpServer.address();
+
+  return { url: `ws://127.0.0.1:${port}`, port, signalling };
+}
+
+/**
+ * A raw WebSocket connection to a signalling server whose messages are
+ * read one at a time.
+ */
+export class SignallingSocket {
+  /**
+   * Connect and wait for the server's challenge.
+   *
+   * @param {import('node:test').TestContext} t
+   * @param {string} url
+   * @returns {Promise<SignallingSocket>}
+   */
+  static async open(t, url) {
+    const socket = new SignallingSocket(new WebSocket(url));
+    t.after(() => socket.ws.terminate());
+
+    socket.challenge = await socket.next();
+    if ('challenge' !== socket.challenge.type) {
+      throw new Error(`Expected a challenge, got ${socket.challenge.type}`);
+    }
+    return socket;
+  }
+
+  /**
+   * Connect and register a new identity.
+   *
+   * @param {import('node:test').TestContext} t
+   * @param {string} url
+   * @param {object} [overrides] - Fields replacing those of `register`.
+   * @returns {Promise<SignallingSocket>}
+   */
+  static async registered(t, url, overrides) {
+    const socket = await SignallingSocket.open(t, url);
+    const reply = await socket.register(await createIdentity(), overrides);
+    if ('registered' !== reply.type) {
+      throw new Error(`Registration failed: ${reply.message}`);
+    }
+    return socket;
+  }
+
+  /**
+   * @param {WebSocket} ws
+   */
+  constructor(ws) {
+    this.ws = ws;
+    this.inbox = [];
+    this.waiting = [];
+
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data);
+      const resolve = this.waiting.shift();
+      if (resolve) resolve(msg);
+      else this.inbox.push(msg);
+    });
+  }
+
+  /**
+   * @returns {Promise<object>} The next message from the server.
+   */
+  next() {
+    if (this.inbox.length) return Promise.resolve(this.inbox.shift());
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  /**
+   * @param {object|string} msg - Sent as is if a string.
+   */
+  send(msg) {
+    this.ws.send('string' === typeof msg ? msg : JSON.stringify(msg));
+  }
+
+  /**
+   * Answer the challenge, by default correctly for `identity`.
+   *
+   * @param {import('../src/peer/utils.js').Identity} identity
+   * @param {object} [overrides] - Fields replacing those of the message.
+   * @returns {Promise<object>} The server's reply.
+   */
+  async register(identity, overrides = {}) {
+    const signature = await sign(
+      identity.privateKey,
+      registerPayload(fromHex(this.challenge.nonce), identity.nodeId)
+    );
+
+    this.peerId = toHex(identity.nodeId);
+    this.send({
+      type: 'register',
+      peerId: this.peerId,
+      publicKey: toHex(identity.publicKey),
+      signature: toBase64(signature),
+      ...overrides,
+    });
+    return this.next();
+  }
+}
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryNetwork } from '../src/peer/memory-transport.js';
+import { RECONNECT_BASE_DELAY } from '../src/peer/reconnect-manager.js';
+import { VirtualClock } from '../src/sim/virtual-clock.js';
+import { generateKeyId, signRecord } from '../src/peer/utils.js';
+import { toHex } from '../src/peer/bytes.js';
+import {
+  connectPair,
+  connectedNodes,
+  disconnected,
+  nextEvent,
+  startNode,
+} from './helpers.js';
+
+test('a stopping node hands its records to its neighbours first', async (t) => {
+  const { a, b } = await connectedNodes(t);
+  assert.ok(a.routingTable.has(b.peerId));
+
+  const keyId = await generateKeyId('key');
+  const record = await signRecord(a.identity, keyId, 'value', Date.now());
+  a.store.set(toHex(keyId), {
+    record,
+    expires: Date.now() + 60_000,
+    publisher: true,
+    lastRepair: 0,
+  });
+
+  // Hold bulk frames back, as a busy data channel would.
+  let buffered = 512 * 1024;
+  a.conn.transport.bufferedAmount = () => buffered;
+
+  const left = disconnected(b.conn, a.peerIdHex);
+  const stopped = a.stop();
+  assert.equal(a.conn.queueDepth(b.peerIdHex, 'bulk'), 1);
+
+  buffered = 0;
+  a.conn.transport.emit('drain', b.peerIdHex);
+  await stopped;
+
+  // The STORE is handled before the GOODBYE that follows it.
+  assert.equal(await left, 'goodbye');
+  assert.deepEqual(b.store.get(toHex(keyId))?.record, record);
+});
+
+test('a peer that lets a FIND_NODE time out is re-dialed, not forgotten', async (t) => {
+  const network = new MemoryNetwork();
+  const clock = new VirtualClock();
+  const a = await startNode(t, network, { clock });
+  const b = await startNode(t, network, { clock });
+  await connectPair(a.conn, b.conn);
+
+  // `b` stops answering requests while its link stays up.
+  b.handleMessage = () => {};
+
+  const dropped = disconnected(a.conn, b.peerIdHex);
+  const closed = disconnected(b.conn, a.peerIdHex);
+  const response = a.sendFindNode(b.peerIdHex, b.peerId, 1000);
+  await clock.advance(1000);
+
+  assert.deepEqual(await response, []);
+  assert.equal(await dropped, 'timeout');
+  assert.ok(a.reconnects.has(b.peerIdHex));
+  assert.ok(a.routingTable.has(b.peerId));
+
+  // Let `b` see the old link close before the new one is dialed.
+  await closed;
+  const back = nextEvent(a.conn, 'peerConnected', (id) => id === b.peerIdHex);
+  await clock.advance(RECONNECT_BASE_DELAY);
+  await back;
+
+  assert.equal(a.reconnects.has(b.peerIdHex), false);
+  assert.ok(a.routingTable.has(b.peerId));
+});
+
+test('a peer on another network is dropped and not re-dialed', async (t) => {
+  const network = new MemoryNetwork();
+  const a = await startNode(t, network, { network: 'red' });
+  const b = await startNode(t, network, { network: 'blue' });
+  a.routingTable.addOrUpdateNode(b.peerId);
+
+  const dropped = disconnected(a.conn, b.peerIdHex);
+  await a.conn.connect(b.peerIdHex);
+
+  assert.equal(await dropped, 'network');
+  assert.equal(a.reconnects.has(b.peerIdHex), false);
+  assert.equal(a.routingTable.has(b.peerId), false);
+});
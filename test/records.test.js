@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MSG_STORE_ACK } from '../src/peer/constants.js';
+import {
+  createIdentity,
+  createImmutableRecord,
+  encodeStore,
+  generateImmutableKeyId,
+  generateKeyId,
+  generateMessageId,
+  signRecord,
+} from '../src/peer/utils.js';
+import { toBase64, toHex } from '../src/peer/bytes.js';
+import { connectedNodes, disconnected, nextEvent } from './helpers.js';
+
+/**
+ * Two connected nodes and a record for `key` signed by the first.
+ *
+ * @param {import('node:test').TestContext} t
+ */
+async function setup(t) {
+  const { a, b } = await connectedNodes(t);
+
+  const keyId = await generateKeyId('key');
+  const record = await signRecord(a.identity, keyId, 'value', Date.now());
+
+  return { a, b, keyId, record };
+}
+
+test('a record signed by its publisher is stored', async (t) => {
+  const { a, b, keyId, record } = await setup(t);
+
+  const acked = nextEvent(
+    a.conn,
+    'message',
+    (id, buf) => id === b.peerIdHex && MSG_STORE_ACK === buf[0]
+  );
+  a.conn.send(b.peerIdHex, encodeStore(generateMessageId(), keyId, record));
+  await acked;
+
+  assert.deepEqual(b.store.get(toHex(keyId))?.record, record);
+  assert.deepEqual(b.conn.getConnectedPeers(), [a.peerIdHex]);
+});
+
+test('a record naming another publisher is rejected', async (t) => {
+  const { a, b, keyId, record } = await setup(t);
+  const other = await createIdentity();
+
+  const reason = disconnected(b.conn, a.peerIdHex);
+  a.conn.send(
+    b.peerIdHex,
+    encodeStore(generateMessageId(), keyId, {
+      ...record,
+      pub: toHex(other.nodeId),
+    })
+  );
+
+  assert.equal(await reason, 'invalid');
+  assert.equal(b.store.get(toHex(keyId)), undefined);
+});
+
+test('a record with altered data is rejected and its sender backed off', async (t) => {
+  const { a, b, keyId, record } = await setup(t);
+
+  const reason = disconnected(b.conn, a.peerIdHex);
+  a.conn.send(
+    b.peerIdHex,
+    encodeStore(generateMessageId(), keyId, {
+      ...record,
+      data: toBase64(new TextEncoder().encode('forged')),
+    })
+  );
+
+  assert.equal(await reason, 'invalid');
+  assert.equal(b.store.get(toHex(keyId)), undefined);
+  assert.ok(b.failedDials.get(a.peerIdHex)?.until > Date.now());
+  assert.equal(b.routingTable.has(a.peerId), false);
+});
+
+test('a STORE cannot change the type of the record held for a key', async (t) => {
+  const { a, b } = await connectedNodes(t);
+
+  const keyId = await generateImmutableKeyId('foo');
+  assert.notDeepEqual(keyId, await generateKeyId('foo'));
+
+  const immutable = createImmutableRecord('foo');
+  const signed = await signRecord(a.identity, keyId, 'bar', Date.now() + 1);
+
+  const acked = [];
+  const send = b.conn.send.bind(b.conn);
+  b.conn.send = (peerIdHex, buf, opts) => {
+    if (MSG_STORE_ACK === buf[0]) acked.push(buf);
+    return send(peerIdHex, buf, opts);
+  };
+
+  const push = (record) =>
+    b._handleStore(
+      a.peerIdHex,
+      encodeStore(generateMessageId(), keyId, record)
+    );
+
+  await push(immutable);
+  await push(signed);
+  assert.deepEqual(b.store.get(toHex(keyId)).record, immutable);
+  assert.equal(acked.length, 1);
+
+  b.store.delete(toHex(keyId));
+  await push(signed);
+  await push(immutable);
+  assert.deepEqual(b.store.get(toHex(keyId)).record, signed);
+  assert.equal(acked.length, 2);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoutingTable } from '../src/peer/routing-table.js';
+import {
+  compareDistance,
+  randomNodeId,
+  xorDistance,
+} from '../src/peer/utils.js';
+import { toHex } from '../src/peer/bytes.js';
+
+/**
+ * @param {number} bit - Index of the only set bit, from the most significant.
+ * @returns {Uint8Array}
+ */
+function idWithBit(bit) {
+  const id = new Uint8Array(32);
+  id[bit >> 3] = 0x80 >> (bit & 7);
+  return id;
+}
+
+test('findClosest searches every bucket around the target', () => {
+  const table = new RoutingTable({ nodeId: new Uint8Array(32) });
+  for (const bit of [0, 100, 253, 254]) table.addOrUpdateNode(idWithBit(bit));
+
+  assert.deepEqual(
+    table.findClosest(new Uint8Array(32), 2).map(toHex),
+    [idWithBit(254), idWithBit(253)].map(toHex)
+  );
+  assert.deepEqual(
+    table.findClosest(idWithBit(100), 2).map(toHex),
+    [idWithBit(100), idWithBit(254)].map(toHex)
+  );
+});
+
+test('findClosest returns the nodes nearest to the target', () => {
+  const table = new RoutingTable({ nodeId: randomNodeId(), k: 4 });
+  for (let i = 0; i < 200; i++) table.addOrUpdateNode(randomNodeId());
+  const nodes = table.buckets.flatMap((bucket) => bucket.nodes);
+
+  for (const target of [table.nodeId, nodes[0], randomNodeId()]) {
+    const expected = [...nodes]
+      .sort((a, b) =>
+        compareDistance(xorDistance(a, target), xorDistance(b, target))
+      )
+      .slice(0, 6);
+
+    assert.deepEqual(
+      table.findClosest(target, 6).map(toHex),
+      expected.map(toHex)
+    );
+  }
+});
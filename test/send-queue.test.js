@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryNetwork } from '../src/peer/memory-transport.js';
+import { MAX_QUEUED_FRAMES, PRIORITIES } from '../src/peer/send-queue.js';
+import { MSG_PING } from '../src/peer/constants.js';
+import { encodePing, randomNodeId } from '../src/peer/utils.js';
+import { toHex } from '../src/peer/bytes.js';
+import {
+  connectedManagers,
+  disconnected,
+  messagesFrom,
+  startManager,
+} from './helpers.js';
+
+test('sending to an unknown peer rejects', async (t) => {
+  const a = await startManager(t, new MemoryNetwork());
+
+  await assert.rejects(
+    a.send(toHex(randomNodeId()), Uint8Array.of(0x70)),
+    /No connection/
+  );
+});
+
+test('sends are rejected once the queue is full', async (t) => {
+  const network = new MemoryNetwork();
+  const a = await startManager(t, network);
+  const b = await startManager(t, network);
+  const received = messagesFrom(b, a.nodeIdHex, MAX_QUEUED_FRAMES);
+
+  // Held until the handshake passes.
+  await a.connect(b.nodeIdHex);
+  const sent = [];
+  for (let i = 0; i < MAX_QUEUED_FRAMES; i++) {
+    sent.push(a.send(b.nodeIdHex, Uint8Array.of(0x70, i % 256)));
+  }
+  assert.equal(a.queueDepth(b.nodeIdHex), MAX_QUEUED_FRAMES);
+
+  await assert.rejects(
+    a.send(b.nodeIdHex, Uint8Array.of(0x70)),
+    /queue .* is full/
+  );
+
+  await Promise.all(sent);
+  assert.equal((await received).length, MAX_QUEUED_FRAMES);
+  assert.equal(a.queueDepth(b.nodeIdHex), 0);
+});
+
+test('sending pauses while the send buffer is full', async (t) => {
+  const { a, b } = await connectedManagers(t);
+  const received = messagesFrom(b, a.nodeIdHex);
+
+  let buffered = 2 * 1024 * 1024;
+  a.transport.bufferedAmount = () => buffered;
+
+  // Frames are handed to the transport as soon as there is room, so one
+  // still queued after `send` returns is being held back.
+  const sent = a.send(b.nodeIdHex, Uint8Array.of(0x70));
+  assert.equal(a.queueDepth(b.nodeIdHex), 1);
+
+  buffered = 0;
+  a.transport.emit('drain', b.nodeIdHex);
+  await sent;
+  assert.equal(a.queueDepth(b.nodeIdHex), 0);
+  assert.deepEqual(await received, [Uint8Array.of(0x70)]);
+});
+
+test('queued messages are rejected when the link closes', async (t) => {
+  const { a, b } = await connectedManagers(t);
+
+  a.transport.bufferedAmount = () => 2 * 1024 * 1024;
+  const sent = a.send(b.nodeIdHex, Uint8Array.of(0x70));
+
+  const reason = disconnected(a, b.nodeIdHex);
+  b.stop();
+  assert.equal(await reason, 'goodbye');
+
+  await assert.rejects(sent, /closed/);
+});
+
+test('queued classes are sent in weighted round-robin order', async (t) => {
+  const network = new MemoryNetwork();
+  const a = await startManager(t, network);
+  const b = await startManager(t, network);
+  const received = messagesFrom(b, a.nodeIdHex, 60);
+
+  // Queued in reverse order of urgency while the handshake is pending.
+  await a.connect(b.nodeIdHex);
+  for (const priority of ['bulk', 'lookup', 'control']) {
+    const buf = Uint8Array.of(0x70, PRIORITIES.indexOf(priority));
+    for (let i = 0; i < 20; i++) {
+      a.send(b.nodeIdHex, buf, { priority });
+    }
+  }
+
+  const order = (await received).map((buf) => PRIORITIES[buf[1]][0]).join('');
+  assert.equal(
+    order.slice(0, 26),
+    'cccccccc' + 'llll' + 'b' + 'cccccccc' + 'llll' + 'b'
+  );
+});
+
+test('urgent messages overtake bulk frames held back by the buffer', async (t) => {
+  const { a, b } = await connectedManagers(t);
+  const first = messagesFrom(b, a.nodeIdHex);
+
+  let buffered = 512 * 1024;
+  a.transport.bufferedAmount = () => buffered;
+
+  const bulk = a.send(b.nodeIdHex, Uint8Array.of(0x70, 2));
+  await a.send(b.nodeIdHex, encodePing(a.nodeId));
+  assert.deepEqual(
+    (await first).map((buf) => buf[0]),
+    [MSG_PING]
+  );
+  assert.equal(a.queueDepth(b.nodeIdHex, 'bulk'), 1);
+
+  const second = messagesFrom(b, a.nodeIdHex);
+  buffered = 0;
+  a.transport.emit('drain', b.nodeIdHex);
+  await bulk;
+  assert.deepEqual(await second, [Uint8Array.of(0x70, 2)]);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import net from 'net';
+import { SignalingClient } from '../src/peer/signaling-client.js';
+import { VirtualClock } from '../src/sim/virtual-clock.js';
+import { createIdentity } from '../src/peer/utils.js';
+import { toHex } from '../src/peer/bytes.js';
+import { SignallingSocket, nextEvent, startServer } from './helpers.js';
+
+/**
+ * Create a client on a virtual clock, so retries only happen when the test
+ * advances it, closed again when the test ends.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {string[]} urls
+ */
+async function startClient(t, urls) {
+  const identity = await createIdentity();
+  const clock = new VirtualClock();
+  const client = new SignalingClient({
+    urls,
+    nodeIdHex: toHex(identity.nodeId),
+    identity,
+    clock,
+  });
+  t.after(() => client.close());
+
+  return { client, clock };
+}
+
+/**
+ * @returns {Promise<number>} A local port nothing is listening on.
+ */
+async function freePort() {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  await once(server, 'close');
+  return port;
+}
+
+test('the client uses the servers it can reach and retries the others', async (t) => {
+  const port = await freePort();
+  const dead = `ws://127.0.0.1:${port}`;
+  const { url: live } = await startServer(t);
+  const { client, clock } = await startClient(t, [dead, live]);
+
+  const opened = nextEvent(client, 'open', (url) => url === live);
+  client.open();
+  const failed = nextEvent(client.servers.get(dead).socket, 'close');
+
+  await opened;
+  assert.deepEqual(client.openUrls(), [live]);
+
+  await failed;
+  await startServer(t, { port });
+  const revived = nextEvent(client, 'open', (url) => url === dead);
+  await clock.advance(1000);
+
+  await revived;
+  assert.deepEqual(client.openUrls(), [dead, live]);
+});
+
+test('peer lists from every server are merged', async (t) => {
+  const s1 = await startServer(t);
+  const s2 = await startServer(t);
+  const a = await SignallingSocket.registered(t, s1.url);
+  const b = await SignallingSocket.registered(t, s2.url);
+
+  const identity = await createIdentity();
+  const c1 = await SignallingSocket.open(t, s1.url);
+  const c2 = await SignallingSocket.open(t, s2.url);
+  await c1.register(identity);
+  await c2.register(identity);
+
+  const { client } = await startClient(t, [s1.url, s2.url]);
+  const merged = nextEvent(client, 'peers', (ids) => 3 === ids.length);
+  client.open();
+
+  const [peers] = await merged;
+  assert.deepEqual([...peers].sort(), [a.peerId, b.peerId, c1.peerId].sort());
+});
+
+test('signals go through the server the target was seen on', async (t) => {
+  const s1 = await startServer(t);
+  const s2 = await startServer(t);
+  const other = await SignallingSocket.registered(t, s1.url);
+  const identity = await createIdentity();
+  const target = await SignallingSocket.open(t, s2.url);
+  await target.register(identity);
+
+  const { client } = await startClient(t, [s1.url, s2.url]);
+  const found = nextEvent(
+    client,
+    'peers',
+    () =>
+      client.peerServers.has(target.peerId) &&
+      client.peerServers.has(other.peerId)
+  );
+  client.open();
+  await found;
+
+  // The target now registers on the first server too, so a signal sent
+  // through every open server would reach it twice.
+  const decoy = await SignallingSocket.open(t, s1.url);
+  await decoy.register(identity);
+
+  const offer = (to) => ({
+    type: 'offer',
+    from: client.nodeIdHex,
+    to,
+    sdp: { type: 'offer', sdp: 'v=0' },
+  });
+  assert.equal(client.send(offer(target.peerId)), true);
+  assert.deepEqual(await target.next(), offer(target.peerId));
+
+  // The first server has handled anything sent before this one arrives.
+  client.send(offer(other.peerId));
+  assert.deepEqual(await other.next(), offer(other.peerId));
+
+  assert.equal(s1.signalling.stats().relayed.offer, 1);
+  assert.equal(s2.signalling.stats().relayed.offer, 1);
+});
@@ -0,0 +1,331 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import http from 'http';
+import { setTimeout } from 'timers/promises';
+import { createSignallingServer } from '../src/signalling/server.js';
+import {
+  bucketIndex,
+  compareDistance,
+  createIdentity,
+  registerPayload,
+  sign,
+  xorDistance,
+} from '../src/peer/utils.js';
+import { fromHex, toBase64, toHex } from '../src/peer/bytes.js';
+import { SignallingSocket, startServer } from './helpers.js';
+
+test('a peer that signs the challenge is registered', async (t) => {
+  const { url } = await startServer(t);
+  const client = await SignallingSocket.open(t, url);
+  const identity = await createIdentity();
+
+  assert.deepEqual(await client.register(identity), {
+    type: 'registered',
+    peerId: toHex(identity.nodeId),
+  });
+});
+
+test('a registration with a bad challenge signature is refused', async (t) => {
+  const { url } = await startServer(t);
+  const client = await SignallingSocket.open(t, url);
+  const identity = await createIdentity();
+
+  const forged = await sign(
+    identity.privateKey,
+    registerPayload(new Uint8Array(32), identity.nodeId)
+  );
+  const closed = once(client.ws, 'close');
+
+  const reply = await client.register(identity, {
+    signature: toBase64(forged),
+  });
+  assert.equal(reply.type, 'error');
+  assert.equal(reply.code, 'invalid-registration');
+  assert.equal(reply.message, 'invalid signature');
+
+  const [code] = await closed;
+  assert.equal(code, 1008);
+});
+
+test('an ID that is not the hash of the key is refused', async (t) => {
+  const { url } = await startServer(t);
+  const client = await SignallingSocket.open(t, url);
+  const identity = await createIdentity();
+  const other = await createIdentity();
+
+  // Validly signed by `other`, but for `identity`'s ID.
+  const signature = await sign(
+    other.privateKey,
+    registerPayload(fromHex(client.challenge.nonce), identity.nodeId)
+  );
+
+  const reply = await client.register(identity, {
+    publicKey: toHex(other.publicKey),
+    signature: toBase64(signature),
+  });
+  assert.equal(reply.code, 'invalid-registration');
+  assert.equal(reply.message, 'publicKey does not match peerId');
+});
+
+test('an ID registered on another live connection is refused', async (t) => {
+  const { url } = await startServer(t);
+  const identity = await createIdentity();
+
+  const first = await SignallingSocket.open(t, url);
+  assert.equal((await first.register(identity)).type, 'registered');
+
+  const second = await SignallingSocket.open(t, url);
+  assert.equal((await second.register(identity)).code, 'duplicate-peer');
+});
+
+test('signals from another ID than the registered one are refused', async (t) => {
+  const { url } = await startServer(t);
+  const [a, b] = await Promise.all([createIdentity(), createIdentity()]);
+
+  const client = await SignallingSocket.open(t, url);
+  await client.register(a);
+
+  client.send({
+    type: 'offer',
+    from: toHex(b.nodeId),
+    to: toHex(a.nodeId),
+    sdp: {},
+  });
+  assert.equal((await client.next()).code, 'spoofed-sender');
+});
+
+test('malformed and invalid messages get an error reply', async (t) => {
+  const { url } = await startServer(t);
+  const client = await SignallingSocket.open(t, url);
+
+  client.send('{not json');
+  assert.equal((await client.next()).code, 'malformed');
+
+  client.send({ type: 'register', peerId: 'abc' });
+  const invalid = await client.next();
+  assert.equal(invalid.code, 'invalid-message');
+  assert.equal(invalid.message, 'peerId must be 64 hex characters');
+
+  client.send({ type: 'teleport' });
+  assert.equal((await client.next()).code, 'invalid-message');
+
+  client.send({ type: 'get-peers' });
+  assert.equal((await client.next()).code, 'not-registered');
+});
+
+test('messages over the rate limit are dropped with one error', async (t) => {
+  const rateLimit = 10;
+  const { url } = await startServer(t, { rateLimit, rateBurst: 3 });
+  const client = await SignallingSocket.open(t, url);
+  await client.register(await createIdentity());
+
+  for (let i = 0; i < 5; i++) client.send({ type: 'get-peers' });
+
+  const replies = [];
+  for (let i = 0; i < 3; i++) replies.push(await client.next());
+  assert.deepEqual(
+    replies.map((r) => r.code ?? r.type),
+    ['peers', 'peers', 'rate-limited']
+  );
+
+  // Only one error per burst: once a token is back, the next reply is the
+  // answer to a new request rather than another error.
+  await setTimeout(1000 / rateLimit);
+  client.send({ type: 'get-peers' });
+  assert.equal((await client.next()).type, 'peers');
+});
+
+test('a registration that fails unexpectedly gets an error reply', async (t) => {
+  const { url, signalling } = await startServer(t);
+  const client = await SignallingSocket.open(t, url);
+  const closed = once(client.ws, 'close');
+
+  signalling.networks.set = () => {
+    throw new Error('registry unavailable');
+  };
+  t.after(() => delete signalling.networks.set);
+
+  const reply = await client.register(await createIdentity());
+  assert.equal(reply.type, 'error');
+  assert.equal(reply.code, 'registration-failed');
+
+  const [code] = await closed;
+  assert.equal(code, 1011);
+});
+
+test('frames over the payload limit close the connection', async (t) => {
+  const { url } = await startServer(t, { maxPayload: 1024 });
+  const client = await SignallingSocket.open(t, url);
+  const closed = once(client.ws, 'close');
+
+  client.send({ type: 'get-peers', padding: 'x'.repeat(2048) });
+
+  const [code] = await closed;
+  assert.equal(code, 1009);
+});
+
+test('peers only find and reach peers on their own network', async (t) => {
+  const { url, signalling } = await startServer(t);
+  const a = await SignallingSocket.registered(t, url, { network: 'red' });
+  const b = await SignallingSocket.registered(t, url, { network: 'blue' });
+  const c = await SignallingSocket.registered(t, url, { network: 'red' });
+
+  a.send({ type: 'get-peers' });
+  assert.deepEqual(await a.next(), { type: 'peers', peers: [c.peerId] });
+
+  const offer = (to) => ({ type: 'offer', from: a.peerId, to, sdp: {} });
+  a.send(offer(b.peerId));
+  a.send(offer(c.peerId));
+  assert.deepEqual(await c.next(), offer(c.peerId));
+
+  assert.equal(signalling.stats().relayed.offer, 1);
+  assert.deepEqual(b.inbox, []);
+});
+
+/**
+ * Generate identities whose IDs fall in given k-buckets of `self`.
+ *
+ * @param {Uint8Array} self
+ * @param {number[]} counts - How many to find for each bucket index; the
+ *   last entry also takes every deeper bucket.
+ * @returns {Promise<import('../src/peer/utils.js').Identity[][]>}
+ */
+async function identitiesInBuckets(self, counts) {
+  const found = counts.map(() => []);
+
+  while (found.some((ids, i) => ids.length < counts[i])) {
+    const identity = await createIdentity();
+    const i = Math.min(bucketIndex(self, identity.nodeId), counts.length - 1);
+    if (found[i].length < counts[i]) found[i].push(identity);
+  }
+  return found;
+}
+
+/**
+ * Register peers, then ask for peers as `joiner`.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {string} url
+ * @param {import('../src/peer/utils.js').Identity} joiner
+ * @param {import('../src/peer/utils.js').Identity[]} others
+ * @returns {Promise<string[]>}
+ */
+async function peersFor(t, url, joiner, others) {
+  for (const identity of others) {
+    await (await SignallingSocket.open(t, url)).register(identity);
+  }
+
+  const socket = await SignallingSocket.open(t, url);
+  await socket.register(joiner);
+  socket.send({ type: 'get-peers' });
+  return (await socket.next()).peers;
+}
+
+/**
+ * @param {Uint8Array} self
+ * @param {import('../src/peer/utils.js').Identity[]} identities
+ * @returns {string[]} Their IDs, closest to `self` first.
+ */
+function byDistance(self, identities) {
+  const distance = (id) => xorDistance(self, id);
+  return identities
+    .map((identity) => identity.nodeId)
+    .sort((a, b) => compareDistance(distance(a), distance(b)))
+    .map((id) => toHex(id));
+}
+
+test('a peers reply holds the closest peers, then one per bucket', async (t) => {
+  const { url } = await startServer(t);
+  const joiner = await createIdentity();
+  const self = joiner.nodeId;
+
+  // Sampling the nearest of the rest would take two peers from bucket 1,
+  // and sampling uniformly most likely two from bucket 0.
+  const buckets = await identitiesInBuckets(self, [4, 3, 1, 3]);
+  const peers = await peersFor(t, url, joiner, buckets.flat());
+
+  assert.equal(peers.length, 6);
+  assert.deepEqual(peers.slice(0, 3), byDistance(self, buckets[3]));
+  assert.deepEqual(
+    peers
+      .slice(3)
+      .map((id) => bucketIndex(self, fromHex(id)))
+      .sort(),
+    [0, 1, 2]
+  );
+});
+
+test('the size of a peers reply follows the configured counts', async (t) => {
+  const { url } = await startServer(t, { closestPeers: 1, randomPeers: 2 });
+  const joiner = await createIdentity();
+  const others = await Promise.all([1, 2, 3, 4, 5].map(() => createIdentity()));
+  const peers = await peersFor(t, url, joiner, others);
+
+  assert.equal(peers.length, 3);
+  assert.equal(peers[0], byDistance(joiner.nodeId, others)[0]);
+  assert.equal(new Set(peers).size, 3);
+
+  assert.throws(
+    () => createSignallingServer({ randomPeers: Number('three') }),
+    /randomPeers must be a whole number/
+  );
+});
+
+test('the health route answers and other paths are not found', async (t) => {
+  const { port } = await startServer(t);
+  const base = `http://127.0.0.1:${port}`;
+
+  const health = await fetch(`${base}/healthz`);
+  assert.equal(health.status, 200);
+  assert.deepEqual(await health.json(), { status: 'ok' });
+
+  const missing = await fetch(`${base}/nowhere`);
+  assert.equal(missing.status, 404);
+  await missing.body.cancel();
+});
+
+test('the stats route counts peers, relayed signals and errors', async (t) => {
+  const { url, port } = await startServer(t);
+  const a = await SignallingSocket.registered(t, url);
+  const b = await SignallingSocket.registered(t, url);
+
+  a.send({ type: 'offer', from: a.peerId, to: b.peerId, sdp: {} });
+  assert.equal((await b.next()).type, 'offer');
+  a.send('{not json');
+  assert.equal((await a.next()).code, 'malformed');
+
+  const res = await fetch(`http://127.0.0.1:${port}/stats`);
+  const stats = await res.json();
+  assert.equal(stats.peers, 2);
+  assert.deepEqual(stats.networks, { '': 2 });
+  assert.deepEqual(stats.connections, { open: 2, opened: 2, closed: 0 });
+  assert.equal(stats.registrations, 2);
+  assert.deepEqual(stats.relayed, { offer: 1, answer: 0, ice: 0 });
+  assert.deepEqual(stats.errors, { malformed: 1 });
+});
+
+test('a server attached to an existing one shares its port', async (t) => {
+  const httpServer = http.createServer((req, res) => {
+    if (res.writableEnded) return;
+    res.end('app');
+  });
+  httpServer.listen(0, '127.0.0.1');
+  await once(httpServer, 'listening');
+  t.after(() => httpServer.close());
+
+  const { port } = httpServer.address();
+  const base = `http://127.0.0.1:${port}`;
+  const signalling = createSignallingServer({ server: httpServer });
+
+  const health = await fetch(`${base}/healthz`);
+  assert.deepEqual(await health.json(), { status: 'ok' });
+  assert.equal(await (await fetch(`${base}/home`)).text(), 'app');
+
+  const client = await SignallingSocket.registered(t, `ws://127.0.0.1:${port}`);
+  assert.ok(client.peerId);
+
+  // Closing leaves the server listening, with its own handlers only.
+  await signalling.close();
+  assert.equal(await (await fetch(`${base}/healthz`)).text(), 'app');
+});